@@ -0,0 +1,59 @@
+var EventEmitter = require('events').EventEmitter;
+var OSC4Bitwig = require('./index');
+var Router = require('./lib/router');
+
+// compares delivering messages with one EventEmitter listener per
+// address, as before the router, against the router, for a few bank
+// sizes.  Listeners do nothing so only the dispatch is measured.
+//
+//   node benchmark [messages]
+var messages = parseInt(process.argv[2], 10) || 500000;
+var banks = [[8, 8], [32, 16], [128, 64]];
+
+function noop() {}
+
+function run(dispatch, addresses, args) {
+  var start = process.hrtime();
+  for (var i = 0; i < messages; i++) {
+    dispatch(addresses[i % addresses.length], args);
+  }
+  var time = process.hrtime(start);
+  return Math.round(messages / (time[0] + time[1] / 1e9));
+}
+
+function bench(tracks, scenes) {
+  var bitwig = new OSC4Bitwig({
+    transport: new OSC4Bitwig.transports.LoopbackTransport(),
+    logger: {level: 'silent'},
+    numTracks: tracks,
+    numScenes: scenes
+  });
+  var addresses = bitwig.router.addresses();
+  bitwig.close();
+
+  var emitter = new EventEmitter();
+  var router = new Router();
+  emitter.setMaxListeners(0);
+  addresses.forEach(function (address) {
+    emitter.on(address, noop);
+    router.add(address, noop);
+  });
+
+  var args = [64];
+  var emitted = run(function (address, args) {
+    emitter.emit.apply(emitter, [address].concat(args));
+  }, addresses, args);
+  var routed = run(function (address, args) {
+    router.dispatch(address, args);
+  }, addresses, args);
+
+  console.log(
+    tracks + ' tracks x ' + scenes + ' scenes, ' + addresses.length + ' addresses: ' +
+    'emitter ' + emitted + ' msg/s, router ' + routed + ' msg/s'
+  );
+}
+
+console.log('Dispatching ' + messages + ' messages');
+banks.forEach(function (bank) {
+  bench(bank[0], bank[1]);
+});
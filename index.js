@@ -3,10 +3,18 @@
  * @author Tom Dinchak <dinchak@gmail.com>
  */
 
-var chalk = require('chalk');
-var OscReceiver = require('osc-receiver');
-var OscEmitter = require('osc-emitter');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
 var Song = require('./lib/song');
+var Scale = require('./lib/scale');
+var errors = require('./lib/errors');
+var Logger = require('./lib/logger');
+var addressFilter = require('./lib/util').addressFilter;
+var argValues = require('./lib/util').argValues;
+var transports = require('./lib/transports');
+var Router = require('./lib/router');
+var Recorder = require('./lib/recording/recorder');
 
 /**
  * LiveOSC sets up communication with LiveOSC and holds the song object.
@@ -17,11 +25,43 @@ var Song = require('./lib/song');
  * opts.port = port to listen on, default 9000
  * opts.bitwigHost = host bitwig is running on, default 127.0.0.1
  * opts.bitwigPort = port bitwig is listening on, default 8000
- * opts.waitTime = time to wait before sending ready event
+ * opts.waitTime = longest time to wait for the initial state before
+ *   sending the ready event, default 1000
+ * opts.numTracks = number of tracks in the track bank, default 8
+ * opts.numScenes = number of scenes in the scene bank, default 8
+ * opts.numSends = number of sends per track, default 6
+ * opts.numParams = number of device parameters per page, default 8
+ * opts.resolution = value resolution configured in OSC4Bitwig,
+ *   128, 1024 or 16384, default 128
+ * opts.units = unit of plain numbers given to volume, pan and send
+ *   setters, 'raw', 'midi', 'normalized', 'percent' or 'db', default 'midi'
+ * opts.confirm = if true, setters return a promise that resolves when
+ *   Bitwig reports the new value, default false
+ * opts.confirmTimeout = time to wait for each confirmation, default 1000
+ * opts.confirmRetries = number of times to resend before rejecting with
+ *   a TimeoutError, default 0
+ * opts.transport = 'udp', 'tcp' or a Transport, default 'udp'.  'tcp'
+ *   connects to bitwigHost:bitwigPort and frames packets with SLIP
+ * opts.debug = if true, log every OSC message, default false
+ * opts.logger = Logger options, or any object with a
+ *   log(level, message, fields) method and optionally isEnabled(level),
+ *   default a colored console logger at the 'debug' level if debug is
+ *   set, otherwise 'warn'
+ * opts.record = file to record every message to, or Recorder options,
+ *   the recorder is kept as bitwig.recorder, its errors are emitted as
+ *   error events, or logged if nothing listens for errors
+ *
+ * Once constructed, OSC4Bitwig asks Bitwig for its full state and
+ * emits a ready event when the song has been populated.  Messages no
+ * model listens for are emitted as unhandled events, with the address
+ * and arguments.
+ *
  * @constructor
  * @param {Object} opts options
  */
 var OSC4Bitwig = function (opts) {
+  EventEmitter.call(this);
+
   opts = opts || {};
   this.host = opts.host || '192.168.1.111';
   this.port = opts.port || 9099;
@@ -29,31 +69,491 @@ var OSC4Bitwig = function (opts) {
   this.bitwigPort = opts.bitwigPort || 8099;
   this.waitTime = opts.waitTime || 1000;
   this.debug = opts.debug || false;
+  this.numTracks = opts.numTracks || 8;
+  this.numScenes = opts.numScenes || 8;
+  this.numSends = opts.numSends || 6;
+  this.numParams = opts.numParams || 8;
+  this.confirm = opts.confirm || false;
+  this.confirmTimeout = opts.confirmTimeout || 1000;
+  this.confirmRetries = opts.confirmRetries || 0;
+
+  /**
+   * Converts mixer values between units and the raw OSC range
+   * @type {Scale}
+   */
+  this.scale = new Scale({
+    resolution: opts.resolution,
+    units: opts.units
+  });
+
+  /**
+   * Carries OSC messages to and from Bitwig
+   * @type {Transport}
+   */
+  this.transport = transports.create(opts.transport, {
+    port: this.port,
+    remoteHost: this.bitwigHost,
+    remotePort: this.bitwigPort
+  });
+
+  /**
+   * If close has been called
+   * @type {Boolean}
+   */
+  this.closed = false;
+
+  var self = this;
+  this.transport.on('error', function (err) {
+    // nobody is left to handle errors from a transport that is closing
+    if (self.closed) {
+      return self.logger.log('debug', 'transport error after close', {
+        error: err.message
+      });
+    }
+    self.emit('error', err);
+  });
+  this.transport.on('disconnect', function (ev) {
+    self.logger.log('warn', 'Lost the connection to Bitwig, reconnecting', {
+      error: ev.error ? ev.error.message : null,
+      attempts: ev.attempts
+    });
+    self.emit('disconnect', ev);
+  });
+  this.transport.on('reconnect', function (ev) {
+    self.logger.log('info', 'Reconnected to Bitwig', {
+      attempts: ev.attempts
+    });
+    self.emit('reconnect', ev);
+  });
+
+  /**
+   * Logs OSC traffic and warnings
+   * @type {Logger}
+   */
+  this.logger = opts.logger && _.isFunction(opts.logger.log) ?
+    opts.logger :
+    new Logger(_.extend({level: this.debug ? 'debug' : 'warn'}, opts.logger));
+
+  // every message goes through here, so skip building the fields
+  // unless they will be logged
+  this.transport.on('message', function (address) {
+    if (!logEnabled(self.logger, 'debug')) {
+      return;
+    }
+    self.logger.log('debug', 'From Bitwig', {
+      direction: 'in',
+      address: address,
+      args: Array.prototype.slice.call(arguments, 1)
+    });
+  });
+  this.transport.on('send', function (address) {
+    if (!logEnabled(self.logger, 'debug')) {
+      return;
+    }
+    self.logger.log('debug', 'To Bitwig', {
+      direction: 'out',
+      address: address,
+      args: argValues(Array.prototype.slice.call(arguments, 1))
+    });
+  });
+
+  /**
+   * Address subscriptions added with onAddress
+   * @type {Array}
+   */
+  this.subscriptions = [];
+
+  /**
+   * Delivers incoming messages to the models
+   * @type {Router}
+   */
+  this.router = new Router();
 
-  this.emitter = new OscEmitter();
-  this.emitter.add(this.bitwigHost, this.bitwigPort);
-  
-  this.receiver = new OscReceiver();
-  this.receiver.bind(this.port);
+  this.transport.on('message', function (address) {
+    self.dispatch(address, Array.prototype.slice.call(arguments, 1));
+  });
 
-  if (this.debug) {
-    this.receiver.on('message', function () {
-      console.log(chalk.magenta('From Bitwig: ') + Array.prototype.slice.call(arguments, 0).join(', '));
+  /**
+   * Records messages when opts.record is set
+   * @type {Recorder}
+   */
+  this.recorder = null;
+  if (opts.record) {
+    this.recorder = new Recorder(this, _.isString(opts.record) ? {
+      file: opts.record
+    } : opts.record);
+    // callers can't listen to a recorder created here before it fails
+    this.recorder.on('error', function (err) {
+      if (self.listenerCount('error')) {
+        return self.emit('error', err);
+      }
+      self.logger.log('error', 'Could not record', {
+        error: err.message
+      });
     });
-    var emit = this.emitter.emit;
-    this.emitter.emit = function () {
-      var args = Array.prototype.slice.call(arguments, 0).map(function (prm) {
-        if (typeof prm.value != 'undefined') {
-          return prm.value;
+  }
+
+  this.song = new Song(this);
+
+  /**
+   * If the initial state has been received
+   * @type {Boolean}
+   */
+  this.isReady = false;
+
+  /**
+   * Rejects the pending sync, null when there is none
+   * @type {Function}
+   */
+  this.cancelSync = null;
+
+  this.readyPromise = this.sync();
+  // closing before ready rejects, only callers of ready() need to know
+  this.readyPromise.catch(_.noop);
+};
+
+util.inherits(OSC4Bitwig, EventEmitter);
+
+/**
+ * Song events that can complete the initial state
+ * @type {Array}
+ */
+var NAME_EVENTS = ['track:name', 'scene:name', 'device:name'];
+
+/**
+ * Ask Bitwig to send its full state and wait for the song to be
+ * populated, or for waitTime to pass, then emit a ready event
+ * @return {Promise} resolves with the song when ready, rejects if
+ *                   closed first
+ */
+OSC4Bitwig.prototype.sync = function () {
+  var self = this;
+  return new Promise(function (resolve, reject) {
+    var finished = false;
+
+    function stop() {
+      finished = true;
+      clearTimeout(self.syncTimer);
+      self.cancelSync = null;
+      _.each(NAME_EVENTS, function (ev) {
+        self.song.eventEmitter.removeListener(ev, check);
+      });
+    }
+
+    function done() {
+      if (!self.song.isPopulated()) {
+        self.logger.log('warn', 'Bitwig did not send its state within ' +
+          self.waitTime + 'ms, is OSC4Bitwig running?', {
+            host: self.bitwigHost,
+            port: self.bitwigPort
+          });
+      }
+      stop();
+      self.isReady = true;
+      self.emit('ready', self.song);
+      resolve(self.song);
+    }
+
+    // events are emitted before the model is updated, so wait for the
+    // listener to finish before checking
+    function check() {
+      process.nextTick(function () {
+        if (!finished && self.song.isPopulated()) {
+          done();
         }
-        return prm;
       });
-      console.log(chalk.green('  To Bitwig: ') + args.join(', '));
-      emit.apply(this, arguments);
+    }
+
+    _.each(NAME_EVENTS, function (ev) {
+      self.song.eventEmitter.on(ev, check);
+    });
+    self.syncTimer = setTimeout(done, self.waitTime);
+    self.cancelSync = function () {
+      stop();
+      reject(new Error('closed before Bitwig sent its state'));
     };
+    self.transport.send('/refresh');
+  });
+};
+
+/**
+ * Destroy the song, stop recording and close the transport, then emit
+ * a close event and remove all listeners.  A pending sync is rejected.
+ * @return {Promise} resolves when the transport is closed
+ */
+OSC4Bitwig.prototype.close = function () {
+  var self = this;
+  this.closed = true;
+  if (this.cancelSync) {
+    this.cancelSync();
   }
+  this.song.destroy();
+  this.router.clear();
 
-  this.song = new Song(this);
+  return Promise.all([
+    this.recorder ? this.recorder.stop() : null,
+    this.transport.close()
+  ]).then(function () {
+    self.emit('close');
+    self.removeAllListeners();
+  });
+};
+
+/**
+ * Deliver an incoming message to the models through the router, then
+ * to onAddress listeners.  Emits an unhandled event if no model
+ * listens for the address.
+ * @param  {String} address OSC address
+ * @param  {Array}  args    argument values
+ */
+OSC4Bitwig.prototype.dispatch = function (address, args) {
+  var handled = this.router.dispatch(address, args);
+  var subscriptions = this.subscriptions;
+
+  for (var i = 0; i < subscriptions.length; i++) {
+    if (subscriptions[i].test(address)) {
+      subscriptions[i].listener.apply(null, [address].concat(args));
+    }
+  }
+  if (!handled) {
+    this.emit.apply(this, ['unhandled', address].concat(args));
+  }
+};
+
+/**
+ * Listen for every message to addresses matching an OSC address
+ * pattern, ex '/track/[1-4]/mute' or '/device/{name,bypass}', see
+ * util.addressPattern.  The listener is called with the address and
+ * the arguments of the message.
+ * @param  {Mixed}    pattern  address pattern, RegExp or list of them
+ * @param  {Function} listener callback(address, arg1, arg2, ...)
+ * @return {Function} removes the listener
+ */
+OSC4Bitwig.prototype.onAddress = function (pattern, listener) {
+  var self = this;
+  var sub = {
+    pattern: pattern,
+    test: addressFilter(pattern),
+    listener: listener
+  };
+  this.subscriptions.push(sub);
+
+  return function () {
+    self.subscriptions = _.without(self.subscriptions, sub);
+  };
+};
+
+/**
+ * Remove a listener added with onAddress
+ * @param  {Mixed}    pattern  pattern given to onAddress
+ * @param  {Function} listener callback given to onAddress
+ */
+OSC4Bitwig.prototype.offAddress = function (pattern, listener) {
+  this.subscriptions = _.reject(this.subscriptions, function (sub) {
+    return _.isEqual(sub.pattern, pattern) && sub.listener === listener;
+  });
+};
+
+/**
+ * Send a message to Bitwig.  When confirm is enabled, returns a
+ * promise that resolves once Bitwig reports the expected value on the
+ * feedback address, or rejects with a TimeoutError.
+ *
+ * The expect object is:
+ *
+ *   {
+ *     address: '/track/1/mute',  // feedback address, default address
+ *     value: 1,                  // value Bitwig should report
+ *     current: 0                 // value the model has now
+ *   }
+ *
+ * Bitwig only reports changes, so the promise resolves right away if
+ * current already equals value, or if there is nothing to expect.
+ *
+ * @param  {String} address  OSC address
+ * @param  {Object} [arg]    OSC argument
+ * @param  {Object} [expect] feedback to wait for
+ * @return {Promise} resolves with the reported value, undefined if
+ *                   confirm is disabled, rejects after close if
+ *                   confirm is enabled
+ */
+OSC4Bitwig.prototype.send = function (address, arg, expect) {
+  var self = this;
+
+  // nothing is sent after close, only callers that asked for a
+  // confirmation are told
+  if (this.closed) {
+    if (this.confirm) {
+      return Promise.reject(new Error('cannot send ' + address + ', OSC4Bitwig is closed'));
+    }
+    return;
+  }
+
+  function emit() {
+    if (_.isUndefined(arg)) {
+      self.transport.send(address);
+    } else {
+      self.transport.send(address, arg);
+    }
+  }
+
+  if (!this.confirm) {
+    emit();
+    return;
+  }
+
+  if (!expect || matches(expect.current, expect.value)) {
+    emit();
+    return Promise.resolve(expect ? expect.value : undefined);
+  }
+
+  var feedback = expect.address || address;
+
+  return new Promise(function (resolve, reject) {
+    var attempts = 0;
+    var timer;
+
+    function listener(value) {
+      if (matches(value, expect.value)) {
+        finish();
+        resolve(value);
+      }
+    }
+
+    function finish() {
+      clearTimeout(timer);
+      self.router.remove(feedback, listener);
+    }
+
+    function attempt() {
+      if (self.closed) {
+        finish();
+        return reject(new Error('closed before ' + feedback + ' was confirmed'));
+      }
+      attempts++;
+      emit();
+      timer = setTimeout(function () {
+        if (attempts <= self.confirmRetries) {
+          return attempt();
+        }
+        finish();
+        reject(new errors.TimeoutError(
+          feedback, expect.value, self.confirmTimeout, attempts
+        ));
+      }, self.confirmTimeout);
+    }
+
+    self.router.add(feedback, listener);
+    attempt();
+  });
+};
+
+/**
+ * Check if a logger logs a level, custom loggers that only have log
+ * are given everything
+ * @param  {Object}  logger Logger or custom logger
+ * @param  {String}  level  level
+ * @return {Boolean} true if the level may be logged
+ */
+function logEnabled(logger, level) {
+  return _.isFunction(logger.isEnabled) ? logger.isEnabled(level) : true;
+}
+
+/**
+ * Compare a reported value with an expected value, Bitwig reports
+ * booleans as true/false or 1/0
+ * @param  {Mixed}   actual   reported value
+ * @param  {Mixed}   expected expected value
+ * @return {Boolean} true if they match
+ */
+function matches(actual, expected) {
+  if (_.isNumber(expected) || _.isBoolean(expected)) {
+    return Number(actual) === Number(expected);
+  }
+  return actual === expected;
+}
+
+/**
+ * Wait for the initial state to be received
+ * @return {Promise} resolves with the song when ready
+ */
+OSC4Bitwig.prototype.ready = function () {
+  return this.readyPromise;
 };
 
+/**
+ * Musical time conversions
+ * @type {Object}
+ */
+OSC4Bitwig.time = require('./lib/time');
+
+/**
+ * Simulator that stands in for Bitwig, for tests
+ * @type {Function}
+ */
+OSC4Bitwig.Simulator = require('./lib/simulator');
+
+/**
+ * Maps MIDI controllers to song actions
+ * @type {Function}
+ */
+OSC4Bitwig.MidiMapper = require('./lib/midi/mapper');
+
+/**
+ * Shows song state on MIDI controller LEDs
+ * @type {Function}
+ */
+OSC4Bitwig.MidiFeedback = require('./lib/midi/feedback');
+
+/**
+ * Grid controllers, GridDriver, MidiGridDriver and SessionView
+ * @type {Object}
+ */
+OSC4Bitwig.grid = require('./lib/grid');
+
+/**
+ * Serves the song to browsers over WebSockets
+ * @type {Function}
+ */
+OSC4Bitwig.WebSocketBridge = require('./lib/server/websocket');
+
+/**
+ * REST API for scripting from other tools
+ * @type {Function}
+ */
+OSC4Bitwig.HttpServer = require('./lib/server/http');
+
+/**
+ * Records OSC traffic to a file
+ * @type {Function}
+ */
+OSC4Bitwig.Recorder = Recorder;
+
+/**
+ * Replays recorded OSC traffic
+ * @type {Function}
+ */
+OSC4Bitwig.Player = require('./lib/recording/player');
+
+/**
+ * Default logger
+ * @type {Function}
+ */
+OSC4Bitwig.Logger = Logger;
+
+/**
+ * Transports, Transport, UdpTransport, TcpTransport and
+ * LoopbackTransport
+ * @type {Object}
+ */
+OSC4Bitwig.transports = transports;
+
+/**
+ * Error classes
+ * @type {Function}
+ */
+OSC4Bitwig.TimeoutError = errors.TimeoutError;
+OSC4Bitwig.CommandError = errors.CommandError;
+OSC4Bitwig.EventTimeoutError = errors.EventTimeoutError;
+
 module.exports = OSC4Bitwig;
@@ -5,6 +5,8 @@
 
 var _ = require('underscore');
 var EventEmitter = require('events').EventEmitter;
+var util = require('./util');
+var events = require('./events');
 
 /**
  * Clip object, represents a clip in the Ableton Live set.
@@ -33,6 +35,18 @@ var Clip = function (bitwig, track, id) {
    */
   this.id = id;
 
+  /**
+   * Position of this clip in the scene bank, starting at 0
+   * @type {Number}
+   */
+  this.bankIndex = id;
+
+  /**
+   * Absolute index of the scene this clip is in, starting at 0
+   * @type {Number}
+   */
+  this.projectIndex = bitwig.song ? bitwig.song.sceneOffset + id : id;
+
   /**
    * The index of this clip
    * @type {Number}
@@ -69,6 +83,24 @@ var Clip = function (bitwig, track, id) {
    */
   this.isQueued = false;
 
+  /**
+   * The name of this clip
+   * @type {String}
+   */
+  this.name = '';
+
+  /**
+   * The color of this clip
+   * @type {String}
+   */
+  this.color = '';
+
+  /**
+   * OSC listeners registered by this clip
+   * @type {Array}
+   */
+  this.oscListeners = [];
+
   /**
    * EventEmitter for clip events
    * @type {EventEmitter}
@@ -123,6 +155,7 @@ var Clip = function (bitwig, track, id) {
       prev: self.isPlaying
     });
     self.isPlaying = isPlaying;
+    self.track.updatePlayingClip();
   }
 
   /**
@@ -149,27 +182,200 @@ var Clip = function (bitwig, track, id) {
     self.isQueued = isQueued;
   }
 
-  bitwig.receiver.on('/track/' + self.track.id + '/slot/' + self.id + '/index', indexListener);
-  bitwig.receiver.on('/track/' + self.track.id + '/slot/' + self.id + '/isSelected', isSelectedListener);
-  bitwig.receiver.on('/track/' + self.track.id + '/slot/' + self.id + '/hasContent', hasContentListener);
-  bitwig.receiver.on('/track/' + self.track.id + '/slot/' + self.id + '/isPlaying', isPlayingListener);
-  bitwig.receiver.on('/track/' + self.track.id + '/slot/' + self.id + '/isRecording', isRecordingListener);
-  bitwig.receiver.on('/track/' + self.track.id + '/slot/' + self.id + '/isQueued', isQueuedListener);
+  /**
+   * Listen for /track/#/slot/#/name
+   * @param  {String} name new clip name
+   */
+  function nameListener(name) {
+    self.emitEvent('name', {
+      value: name,
+      prev: self.name
+    });
+    self.name = name;
+  }
+
+  /**
+   * Listen for /track/#/slot/#/color
+   * @param  {String} color new clip color
+   */
+  function colorListener(color) {
+    self.emitEvent('color', {
+      value: color,
+      prev: self.color
+    });
+    self.color = color;
+  }
+
+  util.listen(self, '/track/' + self.track.id + '/slot/' + self.id + '/index', indexListener);
+  util.listen(self, '/track/' + self.track.id + '/slot/' + self.id + '/isSelected', isSelectedListener);
+  util.listen(self, '/track/' + self.track.id + '/slot/' + self.id + '/hasContent', hasContentListener);
+  util.listen(self, '/track/' + self.track.id + '/slot/' + self.id + '/isPlaying', isPlayingListener);
+  util.listen(self, '/track/' + self.track.id + '/slot/' + self.id + '/isRecording', isRecordingListener);
+  util.listen(self, '/track/' + self.track.id + '/slot/' + self.id + '/isQueued', isQueuedListener);
+  util.listen(self, '/track/' + self.track.id + '/slot/' + self.id + '/name', nameListener);
+  util.listen(self, '/track/' + self.track.id + '/slot/' + self.id + '/color', colorListener);
+};
+
+/**
+ * Get the state of the clip slot as one name
+ * @return {String} 'recording', 'queued', 'playing', 'stopped' or
+ *                  'empty'
+ */
+Clip.prototype.getState = function () {
+  if (this.isRecording) {
+    return 'recording';
+  }
+  if (this.isQueued) {
+    return 'queued';
+  }
+  if (this.isPlaying) {
+    return 'playing';
+  }
+  return this.hasContent ? 'stopped' : 'empty';
 };
 
 /**
  * Trigger the clip to start playing
  */
 Clip.prototype.launch = function () {
+  this.sendAction('launch');
+};
+
+/**
+ * Stop the clip, Bitwig stops clips per track so this stops
+ * whichever clip is playing on the track
+ */
+Clip.prototype.stop = function () {
+  this.track.stopClips();
+};
+
+/**
+ * Start recording into the clip slot
+ */
+Clip.prototype.record = function () {
+  this.sendAction('record');
+};
+
+/**
+ * Select the clip for editing
+ */
+Clip.prototype.select = function () {
+  this.sendAction('select');
+};
+
+/**
+ * Delete the clip from its slot
+ */
+Clip.prototype.delete = function () {
+  this.sendAction('remove');
+};
+
+/**
+ * Duplicate the clip into the next free slot
+ */
+Clip.prototype.duplicate = function () {
+  this.sendAction('duplicate');
+};
+
+/**
+ * Set the name of the clip
+ * @param {String} name the new clip name
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Clip.prototype.setName = function (name) {
+  return this.sendAction('name', {
+    type: 'string',
+    value: name
+  }, {
+    address: '/track/' + this.track.id + '/slot/' + this.id + '/name',
+    value: name,
+    current: this.name
+  });
+};
+
+/**
+ * Set the color of the clip
+ * @param {String} color the new clip color, ex 'RGB(255,0,0)'
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Clip.prototype.setColor = function (color) {
+  return this.sendAction('color', {
+    type: 'string',
+    value: color
+  }, {
+    address: '/track/' + this.track.id + '/slot/' + this.id + '/color',
+    value: color,
+    current: this.color
+  });
+};
+
+/**
+ * Send a clip command to /track/#/clip/#/<action>
+ * @param  {String} action   command name
+ * @param  {Object} [value]  OSC argument
+ * @param  {Object} [expect] feedback to wait for, see OSC4Bitwig.send
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Clip.prototype.sendAction = function (action, value, expect) {
   // clips are 1-indexed for some reason
-  this.bitwig.emitter.emit(
-    '/track/' + this.track.id + '/clip/' + (this.id + 1) + '/launch'
-  );
+  var address = '/track/' + this.track.id + '/clip/' + (this.id + 1) + '/' + action;
+  return this.bitwig.send(address, value, expect);
+};
+
+/**
+ * Set the scene bank offset, remapping this clip to other content
+ * Called by Track
+ * @param {Number} offset absolute index of the first scene in the bank
+ */
+Clip.prototype.setBankOffset = function (offset) {
+  var projectIndex = offset + this.bankIndex;
+  if (projectIndex == this.projectIndex) {
+    return;
+  }
+  this.emitEvent('remap', {
+    value: projectIndex,
+    prev: this.projectIndex
+  });
+  this.projectIndex = projectIndex;
+};
+
+/**
+ * Get the state of the clip as a plain object, used by JSON.stringify
+ * @return {Object} clip state
+ */
+Clip.prototype.toJSON = function () {
+  return _.extend(_.pick(this,
+    'id', 'bankIndex', 'projectIndex', 'name', 'color', 'isSelected',
+    'hasContent', 'isPlaying', 'isRecording', 'isQueued'
+  ), {
+    trackId: this.track.id
+  });
+};
+
+/**
+ * Remove all OSC and event listeners
+ * Called when a clip is refreshed or destroyed
+ */
+Clip.prototype.destroy = function () {
+  util.unlistenAll(this);
+  this.emitEvent('destroy', {});
+  this.eventEmitter.removeAllListeners();
 };
 
 /**
  * Listen for a clip event, current events are:
  *
+ *   index
+ *   isSelected
+ *   hasContent
+ *   isPlaying
+ *   isRecording
+ *   isQueued
+ *   name
+ *   color
+ *   remap
+ *   destroy
+ *
  * @param  {string}   ev event name
  * @param  {Function} cb callback
  */
@@ -177,6 +383,11 @@ Clip.prototype.on = function (ev, cb) {
   this.eventEmitter.on(ev, cb);
 };
 
+/**
+ * off, once, waitFor and events, see events.methods
+ */
+_.extend(Clip.prototype, events.methods);
+
 /**
  * Emit a clip event
  * @param  {String} ev     event name
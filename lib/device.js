@@ -0,0 +1,357 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var EventEmitter = require('events').EventEmitter;
+var util = require('./util');
+var events = require('./events');
+
+/**
+ * Device object, represents the cursor device in the Bitwig project.
+ * The cursor device follows whichever device is currently selected
+ * in Bitwig, so its name, parameters and pages change as the
+ * selection moves.
+ * @constructor
+ * @param {Object} bitwig  OSC4Bitwig instance
+ */
+var Device = function (bitwig) {
+
+  /**
+   * OSC4Bitwig instance
+   * @type {Object}
+   */
+  this.bitwig = bitwig;
+
+  /**
+   * The name of the selected device, undefined until Bitwig reports it
+   * @type {String}
+   */
+  this.name = undefined;
+
+  /**
+   * Device bypass state, 0 = active, 1 = bypassed
+   * @type {Number}
+   */
+  this.bypass = 0;
+
+  /**
+   * If the device is enabled (not bypassed)
+   * @type {Boolean}
+   */
+  this.enabled = true;
+
+  /**
+   * The parameters of the current parameter page, format of a
+   * parameter is:
+   *
+   *   {
+   *     id: 0,
+   *     name: 'Cutoff',
+   *     value: 64
+   *   }
+   *
+   * @type {Array}
+   */
+  this.params = [];
+
+  /**
+   * Index of the selected parameter page
+   * @type {Number}
+   */
+  this.page = 0;
+
+  /**
+   * Names of the parameter pages of this device
+   * @type {Array}
+   */
+  this.pageNames = [];
+
+  /**
+   * OSC listeners registered by this device
+   * @type {Array}
+   */
+  this.oscListeners = [];
+
+  /**
+   * EventEmitter for device events
+   * @type {EventEmitter}
+   */
+  this.eventEmitter = new EventEmitter();
+
+  var self = this;
+
+  /**
+   * Listen for /device/name
+   * @param  {String} name name of the selected device
+   */
+  function nameListener(name) {
+    self.emitEvent('name', {
+      value: name,
+      prev: self.name
+    });
+    self.name = name;
+  }
+
+  /**
+   * Listen for /device/bypass
+   * @param  {Number} bypass 0 or 1
+   */
+  function bypassListener(bypass) {
+    self.emitEvent('bypass', {
+      value: bypass,
+      prev: self.bypass
+    });
+    self.bypass = bypass;
+    self.enabled = !bypass;
+  }
+
+  /**
+   * Listen for /device/page/selected
+   * @param  {Number} page index of the selected parameter page
+   */
+  function pageListener(page) {
+    self.emitEvent('page', {
+      value: page,
+      prev: self.page
+    });
+    self.page = page;
+  }
+
+  /**
+   * Listen for /device/page/#/name
+   * @param  {Number} i    page number
+   * @param  {String} name new page name
+   */
+  function pageNameListener(i, name) {
+    self.emitEvent('pageName', {
+      num: i,
+      value: name,
+      prev: self.pageNames[i]
+    });
+    self.pageNames[i] = name;
+  }
+
+  /**
+   * Listen for /fxparam/#/name
+   * @param  {Number} i    parameter number
+   * @param  {String} name new parameter name
+   */
+  function paramNameListener(i, name) {
+    self.emitEvent('paramName', {
+      num: i,
+      value: name,
+      prev: self.params[i].name
+    });
+    self.params[i].name = name;
+  }
+
+  /**
+   * Listen for /fxparam/#/value
+   * @param  {Number} i     parameter number
+   * @param  {Number} value new parameter value
+   */
+  function paramValueListener(i, value) {
+    var param = self.params[i];
+    var params = {
+      num: i,
+      name: param.name,
+      value: value,
+      prev: param.value
+    };
+    param.value = value;
+    self.emitEvent('param', params);
+    // namespaced so a parameter called ex 'name' or 'error' can't be
+    // mistaken for a device event
+    if (param.name) {
+      self.emitEvent('param:' + param.name, params);
+    }
+  }
+
+  util.listen(self, '/device/name', nameListener);
+  util.listen(self, '/device/bypass', bypassListener);
+  util.listen(self, '/device/page/selected', pageListener);
+
+  _.each(_.range(bitwig.numParams), function (i) {
+    // params and pages are 1-indexed for some reason
+    self.params[i] = {
+      id: i,
+      name: '',
+      value: 0
+    };
+    util.listen(self, '/fxparam/' + (i + 1) + '/name', function (name) {
+      paramNameListener(i, name);
+    });
+    util.listen(self, '/fxparam/' + (i + 1) + '/value', function (value) {
+      paramValueListener(i, value);
+    });
+  });
+
+  _.each(_.range(8), function (i) {
+    self.pageNames[i] = '';
+    util.listen(self, '/device/page/' + (i + 1) + '/name', function (name) {
+      pageNameListener(i, name);
+    });
+  });
+};
+
+/**
+ * Set a device parameter to a value
+ * @param {Mixed}  param id of the parameter or name of the parameter
+ * @param {Number} value new parameter value
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Device.prototype.set = function (param, value) {
+  var found;
+  if (_.isNumber(param)) {
+    util.checkIndex('param', param, 0, this.params.length - 1);
+    found = this.params[param];
+  } else {
+    found = _.findWhere(this.params, {name: param});
+    if (!found) {
+      throw new Error('no parameter named ' + param + ' on ' + this.name);
+    }
+  }
+
+  return this.bitwig.send(
+    '/fxparam/' + (found.id + 1) + '/value',
+    {
+      type: 'integer',
+      value: value
+    },
+    {
+      value: value,
+      current: found.value
+    }
+  );
+};
+
+/**
+ * Set the device bypass state
+ * @param {Number} bypass 0 or 1
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Device.prototype.setBypass = function (bypass) {
+  // /device/bypass toggles, so only send it when the state differs
+  if (!bypass == !this.bypass) {
+    return this.bitwig.confirm ? Promise.resolve(this.bypass) : undefined;
+  }
+  return this.bitwig.send('/device/bypass', undefined, {
+    value: bypass ? 1 : 0,
+    current: this.bypass ? 1 : 0
+  });
+};
+
+/**
+ * Toggle the device bypass state
+ */
+Device.prototype.toggleBypass = function () {
+  this.bitwig.transport.send('/device/bypass');
+};
+
+/**
+ * Select the next device in the chain
+ */
+Device.prototype.next = function () {
+  this.bitwig.transport.send('/device/+');
+};
+
+/**
+ * Select the previous device in the chain
+ */
+Device.prototype.prev = function () {
+  this.bitwig.transport.send('/device/-');
+};
+
+/**
+ * Select the next parameter page
+ */
+Device.prototype.nextPage = function () {
+  this.bitwig.transport.send('/device/param/+');
+};
+
+/**
+ * Select the previous parameter page
+ */
+Device.prototype.prevPage = function () {
+  this.bitwig.transport.send('/device/param/-');
+};
+
+/**
+ * Select a parameter page
+ * @param  {Number} page index of the page to select
+ */
+Device.prototype.selectPage = function (page) {
+  util.checkIndex('page', page, 0, this.pageNames.length - 1);
+  this.bitwig.transport.send(
+    '/device/page/' + (page + 1) + '/select'
+  );
+};
+
+/**
+ * Get the state of the device as a plain object, used by JSON.stringify
+ * @return {Object} device state with parameters
+ */
+Device.prototype.toJSON = function () {
+  return _.extend(_.pick(this, 'name', 'bypass', 'enabled', 'page'), {
+    pageNames: _.clone(this.pageNames),
+    params: _.map(this.params, _.clone)
+  });
+};
+
+/**
+ * Remove all OSC and event listeners
+ * Called when the song is destroyed
+ */
+Device.prototype.destroy = function () {
+  util.unlistenAll(this);
+  this.emitEvent('destroy', {});
+  this.eventEmitter.removeAllListeners();
+};
+
+/**
+ * Listen for a device event, current events are:
+ *
+ *   name
+ *     the selected device changed
+ *   bypass
+ *     the device was bypassed or enabled
+ *   page
+ *     the selected parameter page changed
+ *   pageName
+ *     a parameter page was renamed
+ *   paramName
+ *     a parameter was renamed
+ *   param
+ *     fired on any parameter value change
+ *   param:&lt;name of the parameter&gt;
+ *     listen for a specific parameter, ex 'param:Cutoff'
+ *   destroy
+ *
+ * @param  {String}   ev event name
+ * @param  {Function} cb callback
+ */
+Device.prototype.on = function (ev, cb) {
+  this.eventEmitter.on(ev, cb);
+};
+
+/**
+ * off, once, waitFor and events, see events.methods
+ */
+_.extend(Device.prototype, events.methods);
+
+/**
+ * Emit a device event
+ * @param  {String} ev     event name
+ * @param  {Object} params event parameters
+ */
+Device.prototype.emitEvent = function (ev, params) {
+  this.eventEmitter.emit(ev, params);
+  this.bitwig.song.eventEmitter.emit(
+    'device:' + ev,
+    _.extend({}, params)
+  );
+};
+
+module.exports = Device;
@@ -0,0 +1,93 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+
+/**
+ * TimeoutError, Bitwig did not confirm a change in time
+ * @constructor
+ * @param {String} address  OSC address that was waited for
+ * @param {Mixed}  expected value that was expected
+ * @param {Number} timeout  time waited in milliseconds
+ * @param {Number} attempts number of times the message was sent
+ */
+var TimeoutError = function (address, expected, timeout, attempts) {
+  Error.call(this);
+  Error.captureStackTrace(this, TimeoutError);
+
+  this.name = 'TimeoutError';
+  this.code = 'ETIMEDOUT';
+  this.message = 'no confirmation of ' + address + ' = ' + expected +
+    ' after ' + attempts + ' attempt' + (attempts == 1 ? '' : 's') +
+    ' of ' + timeout + 'ms';
+
+  /**
+   * OSC address that was waited for
+   * @type {String}
+   */
+  this.address = address;
+
+  /**
+   * Value that was expected
+   * @type {Mixed}
+   */
+  this.expected = expected;
+
+  /**
+   * Number of times the message was sent
+   * @type {Number}
+   */
+  this.attempts = attempts;
+};
+
+util.inherits(TimeoutError, Error);
+
+exports.TimeoutError = TimeoutError;
+
+/**
+ * EventTimeoutError, an event waited for with waitFor didn't happen in
+ * time
+ * @constructor
+ * @param {String} ev      event name
+ * @param {Number} timeout time waited in milliseconds
+ */
+var EventTimeoutError = function (ev, timeout) {
+  Error.call(this);
+  Error.captureStackTrace(this, EventTimeoutError);
+
+  this.name = 'EventTimeoutError';
+  this.code = 'ETIMEDOUT';
+  this.message = 'no ' + ev + ' event after ' + timeout + 'ms';
+
+  /**
+   * Event that was waited for
+   * @type {String}
+   */
+  this.event = ev;
+};
+
+util.inherits(EventTimeoutError, TimeoutError);
+
+exports.EventTimeoutError = EventTimeoutError;
+
+/**
+ * CommandError, a command from a client could not be run
+ * @constructor
+ * @param {String} message description of the problem
+ * @param {String} code    'ENOTFOUND' for unknown targets and methods,
+ *                         'EINVAL' for bad arguments
+ */
+var CommandError = function (message, code) {
+  Error.call(this);
+  Error.captureStackTrace(this, CommandError);
+
+  this.name = 'CommandError';
+  this.code = code;
+  this.message = message;
+};
+
+util.inherits(CommandError, Error);
+
+exports.CommandError = CommandError;
@@ -0,0 +1,208 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var errors = require('./errors');
+
+/**
+ * EventIterator, an async iterator over the events of a model, created
+ * with events(ev).  Events are queued until they are read, and the
+ * iterator ends when the model is destroyed or return() is called, ex
+ * by breaking out of a for await loop.
+ * @constructor
+ * @param {EventEmitter} eventEmitter emitter of the model
+ * @param {String}       ev           event name
+ */
+var EventIterator = function (eventEmitter, ev) {
+
+  /**
+   * Emitter of the model
+   * @type {EventEmitter}
+   */
+  this.eventEmitter = eventEmitter;
+
+  /**
+   * Event name
+   * @type {String}
+   */
+  this.ev = ev;
+
+  /**
+   * Events that have not been read yet
+   * @type {Array}
+   */
+  this.queue = [];
+
+  /**
+   * Resolve functions of reads waiting for an event
+   * @type {Array}
+   */
+  this.waiting = [];
+
+  /**
+   * If the iterator has ended
+   * @type {Boolean}
+   */
+  this.done = false;
+
+  var self = this;
+
+  this.listener = function (params) {
+    if (self.waiting.length) {
+      self.waiting.shift()({value: params, done: false});
+    } else {
+      self.queue.push(params);
+    }
+  };
+  this.destroyListener = function () {
+    self.return();
+  };
+
+  eventEmitter.on(ev, this.listener);
+  if (ev != 'destroy') {
+    eventEmitter.on('destroy', this.destroyListener);
+  }
+};
+
+/**
+ * Read the next event
+ * @return {Promise} resolves with {value: params, done: false}, or
+ *                   {done: true} once ended
+ */
+EventIterator.prototype.next = function () {
+  var self = this;
+  if (this.queue.length) {
+    return Promise.resolve({value: this.queue.shift(), done: false});
+  }
+  if (this.done) {
+    return Promise.resolve({value: undefined, done: true});
+  }
+  return new Promise(function (resolve) {
+    self.waiting.push(resolve);
+  });
+};
+
+/**
+ * Stop listening, reads waiting for an event resolve as done
+ * @return {Promise} resolves with {done: true}
+ */
+EventIterator.prototype.return = function () {
+  if (!this.done) {
+    this.done = true;
+    this.queue = [];
+    this.eventEmitter.removeListener(this.ev, this.listener);
+    this.eventEmitter.removeListener('destroy', this.destroyListener);
+    this.waiting.splice(0).forEach(function (resolve) {
+      resolve({value: undefined, done: true});
+    });
+  }
+  return Promise.resolve({value: undefined, done: true});
+};
+
+/**
+ * Iterators are their own async iterator, for for await loops
+ * @return {EventIterator} this
+ */
+EventIterator.prototype[Symbol.asyncIterator] = function () {
+  return this;
+};
+
+exports.EventIterator = EventIterator;
+
+/**
+ * Event methods shared by Song, Track, Clip, Scene and Device, added to
+ * their prototypes.  They expect the model to have an eventEmitter.
+ * @type {Object}
+ */
+exports.methods = {
+
+  /**
+   * Stop listening for an event
+   * @param  {String}   ev event name
+   * @param  {Function} cb callback given to on or once
+   */
+  off: function (ev, cb) {
+    this.eventEmitter.removeListener(ev, cb);
+  },
+
+  /**
+   * Listen for the next time an event is emitted
+   * @param  {String}   ev event name
+   * @param  {Function} cb callback
+   */
+  once: function (ev, cb) {
+    this.eventEmitter.once(ev, cb);
+  },
+
+  /**
+   * Wait for an event, ex clip.waitFor('isPlaying', function (e) {
+   * return e.value; }).  Events are emitted before the model is
+   * updated, but the promise resolves after, so the model already has
+   * the new value.  Rejects with an EventTimeoutError if the event
+   * doesn't happen within timeout, or an Error if the model is
+   * destroyed.
+   * @param  {String}   ev          event name
+   * @param  {Function} [predicate] only resolve for events it returns
+   *                                true for, called with the event
+   * @param  {Number}   [timeout]   longest time to wait in ms
+   * @return {Promise} resolves with the event
+   */
+  waitFor: function (ev, predicate, timeout) {
+    var eventEmitter = this.eventEmitter;
+
+    if (typeof predicate == 'number') {
+      timeout = predicate;
+      predicate = null;
+    }
+
+    return new Promise(function (resolve, reject) {
+      var timer;
+
+      function finish() {
+        clearTimeout(timer);
+        eventEmitter.removeListener(ev, listener);
+        eventEmitter.removeListener('destroy', destroyListener);
+      }
+
+      function listener(params) {
+        try {
+          if (predicate && !predicate(params)) {
+            return;
+          }
+        } catch (err) {
+          finish();
+          return reject(err);
+        }
+        finish();
+        resolve(params);
+      }
+
+      function destroyListener() {
+        finish();
+        reject(new Error('destroyed while waiting for ' + ev));
+      }
+
+      eventEmitter.on(ev, listener);
+      if (ev != 'destroy') {
+        eventEmitter.on('destroy', destroyListener);
+      }
+      if (timeout) {
+        timer = setTimeout(function () {
+          finish();
+          reject(new errors.EventTimeoutError(ev, timeout));
+        }, timeout);
+      }
+    });
+  },
+
+  /**
+   * Iterate over events as they happen, ex
+   * for await (const e of song.events('track:volume'))
+   * @param  {String} ev event name
+   * @return {EventIterator} async iterator
+   */
+  events: function (ev) {
+    return new EventIterator(this.eventEmitter, ev);
+  }
+};
@@ -0,0 +1,126 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+/**
+ * GridDriver, the base of every grid controller driver.  Views like
+ * SessionView only talk to the controller through a driver, so any
+ * grid can be used by writing a driver for it.
+ *
+ * The grid is width x height pads, x counts columns from the left and
+ * y counts rows from the top, both starting at 0.  The column of side
+ * buttons to the right of the grid is x = width.  Other buttons, like
+ * arrows and mode buttons, have names.
+ *
+ * Drivers implement:
+ *
+ *   setPad(x, y, state)
+ *     light a pad or side button
+ *   setButton(name, state)
+ *     light a named button
+ *   close()
+ *     stop the driver, returns a promise
+ *
+ * States are names, drivers decide what each looks like:
+ *
+ *   empty, stopped, playing, queued, recording
+ *     clip slots
+ *   scene
+ *     a scene that exists
+ *   stop
+ *     a track with a clip that can be stopped
+ *   on, off
+ *     buttons
+ *
+ * and emit:
+ *
+ *   'pad' ({x, y, pressed})
+ *   'button' ({name, pressed})
+ *
+ * Options are as follows:
+ *
+ * opts.width = number of pad columns, default 8
+ * opts.height = number of pad rows, default 8
+ *
+ * @constructor
+ * @param {Object} opts options
+ */
+var GridDriver = function (opts) {
+  EventEmitter.call(this);
+
+  opts = opts || {};
+
+  /**
+   * Number of pad columns
+   * @type {Number}
+   */
+  this.width = opts.width || 8;
+
+  /**
+   * Number of pad rows
+   * @type {Number}
+   */
+  this.height = opts.height || 8;
+};
+
+util.inherits(GridDriver, EventEmitter);
+
+/**
+ * Light a pad, or a side button when x is width
+ * @param {Number} x     column
+ * @param {Number} y     row
+ * @param {String} state state name
+ */
+GridDriver.prototype.setPad = function () {
+  throw new Error('setPad is not implemented by this driver');
+};
+
+/**
+ * Light a named button
+ * @param {String} name  button name, ex 'up'
+ * @param {String} state state name
+ */
+GridDriver.prototype.setButton = function () {
+  throw new Error('setButton is not implemented by this driver');
+};
+
+/**
+ * Report a pad press or release, for drivers
+ * @param  {Number}  x       column
+ * @param  {Number}  y       row
+ * @param  {Boolean} pressed true if pressed, false if released
+ */
+GridDriver.prototype.pad = function (x, y, pressed) {
+  this.emit('pad', {
+    x: x,
+    y: y,
+    pressed: pressed
+  });
+};
+
+/**
+ * Report a button press or release, for drivers
+ * @param  {String}  name    button name
+ * @param  {Boolean} pressed true if pressed, false if released
+ */
+GridDriver.prototype.button = function (name, pressed) {
+  this.emit('button', {
+    name: name,
+    pressed: pressed
+  });
+};
+
+/**
+ * Stop the driver
+ * @return {Promise} resolves when closed
+ */
+GridDriver.prototype.close = function () {
+  this.removeAllListeners();
+  return Promise.resolve();
+};
+
+module.exports = GridDriver;
@@ -0,0 +1,8 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+exports.GridDriver = require('./driver');
+exports.MidiGridDriver = require('./midi');
+exports.SessionView = require('./session');
@@ -0,0 +1,230 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+var _ = require('underscore');
+var GridDriver = require('./driver');
+var ports = require('../midi/ports');
+
+/**
+ * Layouts that can be used by name.  pad returns the message type and
+ * number of a pad or side button, buttons are the CC numbers of the
+ * named buttons.
+ * @type {Object}
+ */
+var LAYOUTS = {
+  // Launchpad MK2 / Mini MK3 / X in programmer mode
+  launchpad: {
+    width: 8,
+    height: 8,
+    pad: function (x, y) {
+      return {
+        type: x == 8 ? 'cc' : 'note',
+        number: (8 - y) * 10 + x + 1
+      };
+    },
+    buttons: {
+      up: 91,
+      down: 92,
+      left: 93,
+      right: 94,
+      stop: 95,
+      mute: 96,
+      solo: 97
+    }
+  }
+};
+
+/**
+ * Launchpad color indexes for each state
+ * @type {Object}
+ */
+var PALETTE = {
+  empty: 0,
+  stopped: 13,
+  playing: 21,
+  queued: 21,
+  recording: 5,
+  scene: 3,
+  stop: 5,
+  on: 9,
+  off: 0
+};
+
+/**
+ * MidiGridDriver, drives a MIDI pad grid like a Launchpad.
+ *
+ * Options are as follows:
+ *
+ * opts.layout = name in MidiGridDriver.LAYOUTS or a layout object,
+ *   default 'launchpad'
+ * opts.palette = values sent for each state, default Launchpad colors
+ * opts.blink = states that blink, default ['queued']
+ * opts.blinkChannel = MIDI channel that makes pads blink, default 2
+ * opts.channel = MIDI channel, default 1
+ * opts.input = MIDI input port, an index, part of a port name or a port
+ * opts.output = MIDI output port, an index, part of a port name or a
+ *   port object with sendMessage
+ *
+ * @constructor
+ * @param {Object} opts options
+ */
+var MidiGridDriver = function (opts) {
+  opts = opts || {};
+
+  var layout = _.isString(opts.layout || 'launchpad') ?
+    LAYOUTS[opts.layout || 'launchpad'] :
+    opts.layout;
+
+  if (!layout) {
+    throw new Error('unknown layout ' + opts.layout + ', expected one of ' +
+      _.keys(LAYOUTS).join(', '));
+  }
+
+  GridDriver.call(this, {
+    width: opts.width || layout.width,
+    height: opts.height || layout.height
+  });
+
+  /**
+   * Pad and button numbers
+   * @type {Object}
+   */
+  this.layout = layout;
+
+  /**
+   * Values sent for each state
+   * @type {Object}
+   */
+  this.palette = _.defaults({}, opts.palette, PALETTE);
+
+  /**
+   * States that blink
+   * @type {Array}
+   */
+  this.blink = opts.blink || ['queued'];
+
+  /**
+   * MIDI channel, 0 - 15
+   * @type {Number}
+   */
+  this.channel = (opts.channel || 1) - 1;
+
+  /**
+   * MIDI channel that makes pads blink, 0 - 15
+   * @type {Number}
+   */
+  this.blinkChannel = (opts.blinkChannel || 2) - 1;
+
+  /**
+   * Pads and buttons by MIDI message, ex {'note:11': {x: 0, y: 7}}
+   * @type {Object}
+   */
+  this.controls = {};
+
+  var self = this;
+
+  _.each(_.range(this.width + 1), function (x) {
+    _.each(_.range(this.height), function (y) {
+      var pad = layout.pad(x, y);
+      self.controls[pad.type + ':' + pad.number] = {x: x, y: y};
+    });
+  }, this);
+  _.each(layout.buttons, function (number, name) {
+    self.controls['cc:' + number] = {name: name};
+  });
+
+  if (!_.isUndefined(opts.output)) {
+    this.output = ports.openOutput(opts.output);
+    this.ownsOutput = !_.isObject(opts.output);
+  }
+  if (!_.isUndefined(opts.input)) {
+    this.input = ports.openInput(opts.input);
+    this.ownsInput = !_.isObject(opts.input);
+    this.input.on('message', function (deltaTime, message) {
+      self.receive(message);
+    });
+  }
+};
+
+util.inherits(MidiGridDriver, GridDriver);
+
+/**
+ * Layouts that can be used by name
+ * @type {Object}
+ */
+MidiGridDriver.LAYOUTS = LAYOUTS;
+
+/**
+ * Handle a MIDI message from the controller
+ * @param  {Array} message MIDI bytes
+ */
+MidiGridDriver.prototype.receive = function (message) {
+  var status = message[0] & 0xf0;
+  var type = status == 0xb0 ? 'cc' : status == 0x90 || status == 0x80 ? 'note' : null;
+  var control = this.controls[type + ':' + message[1]];
+  var pressed = status != 0x80 && message[2] > 0;
+
+  if (!control) {
+    return;
+  }
+  if (control.name) {
+    this.button(control.name, pressed);
+  } else {
+    this.pad(control.x, control.y, pressed);
+  }
+};
+
+/**
+ * Light a pad, or a side button when x is width
+ * @param {Number} x     column
+ * @param {Number} y     row
+ * @param {String} state state name
+ */
+MidiGridDriver.prototype.setPad = function (x, y, state) {
+  var pad = this.layout.pad(x, y);
+  var channel = _.contains(this.blink, state) ? this.blinkChannel : this.channel;
+  this.send([(pad.type == 'cc' ? 0xb0 : 0x90) + channel, pad.number, this.palette[state] || 0]);
+};
+
+/**
+ * Light a named button
+ * @param {String} name  button name
+ * @param {String} state state name
+ */
+MidiGridDriver.prototype.setButton = function (name, state) {
+  if (_.has(this.layout.buttons, name)) {
+    this.send([0xb0 + this.channel, this.layout.buttons[name], this.palette[state] || 0]);
+  }
+};
+
+/**
+ * Send a MIDI message to the controller
+ * @param  {Array} message MIDI bytes
+ */
+MidiGridDriver.prototype.send = function (message) {
+  if (this.output) {
+    this.output.sendMessage(message);
+  }
+};
+
+/**
+ * Close the MIDI ports
+ * @return {Promise} resolves when closed
+ */
+MidiGridDriver.prototype.close = function () {
+  if (this.input) {
+    this.input.removeAllListeners('message');
+    if (this.ownsInput) {
+      ports.close(this.input);
+    }
+  }
+  if (this.output && this.ownsOutput) {
+    ports.close(this.output);
+  }
+  return GridDriver.prototype.close.call(this);
+};
+
+module.exports = MidiGridDriver;
@@ -0,0 +1,343 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
+
+/**
+ * Modes of the bottom row
+ * @type {Array}
+ */
+var MODES = ['stop', 'mute', 'solo'];
+
+/**
+ * Song events that change what the grid shows
+ * @type {Array}
+ */
+var EVENTS = [
+  'clip:hasContent', 'clip:isPlaying', 'clip:isQueued', 'clip:isRecording',
+  'track:mute', 'track:solo', 'track:playingClip',
+  'scene:exists', 'trackOffset', 'sceneOffset'
+];
+
+/**
+ * SessionView, shows the clip matrix of the track and scene banks on a
+ * grid controller.
+ *
+ * Pads launch clips, with tracks as columns and scenes as rows.  The
+ * side column launches scenes.  The up, down, left and right buttons
+ * scroll the scene and track banks.  The bottom row stops, mutes or
+ * solos the track above each pad, picked with the stop, mute and solo
+ * buttons.  It is closed when the song is destroyed.
+ *
+ * Options are as follows:
+ *
+ * opts.scroll = 'page' to scroll the banks by the tracks and scenes
+ *   shown, or the number of tracks and scenes to scroll by, default 'page'
+ * opts.bottomRow = use the bottom row for stop, mute and solo instead
+ *   of clips, default true
+ * opts.mode = starting mode of the bottom row, default 'stop'
+ *
+ * @constructor
+ * @param {Object} song   Song to show
+ * @param {Object} driver GridDriver for the controller
+ * @param {Object} opts   options
+ */
+var SessionView = function (song, driver, opts) {
+  EventEmitter.call(this);
+
+  opts = opts || {};
+
+  /**
+   * Song being shown
+   * @type {Object}
+   */
+  this.song = song;
+
+  /**
+   * Driver of the grid controller
+   * @type {GridDriver}
+   */
+  this.driver = driver;
+
+  /**
+   * How far the arrow buttons scroll, 'page' or a number
+   * @type {Mixed}
+   */
+  this.scroll = opts.scroll || 'page';
+
+  /**
+   * If the bottom row is used for stop, mute and solo
+   * @type {Boolean}
+   */
+  this.bottomRow = opts.bottomRow !== false;
+
+  /**
+   * Mode of the bottom row, 'stop', 'mute' or 'solo'
+   * @type {String}
+   */
+  this.mode = null;
+
+  /**
+   * Number of tracks shown
+   * @type {Number}
+   */
+  this.columns = Math.min(driver.width, song.tracks.length);
+
+  /**
+   * Number of scenes shown
+   * @type {Number}
+   */
+  this.rows = Math.min(driver.height - (this.bottomRow ? 1 : 0), song.scenes.length);
+
+  /**
+   * Last state sent for each pad and button
+   * @type {Object}
+   */
+  this.states = {};
+
+  /**
+   * Song event listeners, kept so they can be removed
+   * @type {Array}
+   */
+  this.listeners = [];
+
+  /**
+   * If close has been called
+   * @type {Boolean}
+   */
+  this.closed = false;
+
+  var self = this;
+
+  this.onPad = function (ev) {
+    if (ev.pressed) {
+      self.press(ev.x, ev.y);
+    }
+  };
+  this.onButton = function (ev) {
+    if (ev.pressed) {
+      self.pressButton(ev.name);
+    }
+  };
+  driver.on('pad', this.onPad);
+  driver.on('button', this.onButton);
+
+  // model events are emitted before the model is updated, so wait
+  // for the listener to finish before drawing
+  function update() {
+    if (self.pending) {
+      return;
+    }
+    self.pending = true;
+    process.nextTick(function () {
+      self.pending = false;
+      self.render();
+    });
+  }
+
+  // the driver would keep drawing a song that is gone
+  function close() {
+    self.close();
+  }
+
+  _.each(EVENTS, function (ev) {
+    song.eventEmitter.on(ev, update);
+    self.listeners.push({ev: ev, listener: update});
+  });
+  song.eventEmitter.on('destroy', close);
+  this.listeners.push({ev: 'destroy', listener: close});
+
+  this.setMode(opts.mode || 'stop');
+};
+
+util.inherits(SessionView, EventEmitter);
+
+/**
+ * Modes of the bottom row
+ * @type {Array}
+ */
+SessionView.MODES = MODES;
+
+/**
+ * Set the mode of the bottom row
+ * @param {String} mode 'stop', 'mute' or 'solo'
+ */
+SessionView.prototype.setMode = function (mode) {
+  if (!_.contains(MODES, mode)) {
+    throw new Error('mode must be one of ' + MODES.join(', ') + ', got ' + mode);
+  }
+  if (mode == this.mode) {
+    return;
+  }
+  var prev = this.mode;
+  this.mode = mode;
+  this.emit('mode', {
+    value: mode,
+    prev: prev
+  });
+  this.render();
+};
+
+/**
+ * Handle a pad press
+ * @param  {Number} x column
+ * @param  {Number} y row
+ */
+SessionView.prototype.press = function (x, y) {
+  var song = this.song;
+
+  if (x == this.driver.width) {
+    if (y < this.rows) {
+      song.launchScene(y + 1);
+    }
+    return;
+  }
+  if (x >= this.columns) {
+    return;
+  }
+
+  var track = song.tracks[x];
+  var result;
+
+  if (y < this.rows) {
+    result = track.clips[y].launch();
+  } else if (this.bottomRow && y == this.driver.height - 1) {
+    if (this.mode == 'stop') {
+      result = track.stopClips();
+    } else if (this.mode == 'mute') {
+      result = track.setMute(track.mute ? 0 : 1);
+    } else {
+      result = track.setSolo(track.solo ? 0 : 1);
+    }
+  }
+
+  // the grid shows the reported state, so a missed confirmation
+  // doesn't need handling here
+  if (result && result.catch) {
+    result.catch(_.noop);
+  }
+};
+
+/**
+ * Handle a named button press
+ * @param  {String} name button name
+ */
+SessionView.prototype.pressButton = function (name) {
+  var song = this.song;
+  var page = this.scroll == 'page';
+  // a page is what the grid shows, which can be less than the banks
+  // when the bottom row is used for buttons
+  var rows = page ? this.rows : this.scroll;
+  var columns = page ? this.columns : this.scroll;
+
+  switch (name) {
+    case 'up':
+      return song.scrollScenes(-rows);
+    case 'down':
+      return song.scrollScenes(rows);
+    case 'left':
+      return song.scrollTracks(-columns);
+    case 'right':
+      return song.scrollTracks(columns);
+  }
+  if (_.contains(MODES, name)) {
+    this.setMode(name);
+  }
+};
+
+/**
+ * Send the pads and buttons whose state changed
+ * @param  {Boolean} full send every pad and button
+ */
+SessionView.prototype.render = function (full) {
+  var self = this;
+  var song = this.song;
+  var driver = this.driver;
+
+  if (this.closed) {
+    return;
+  }
+  if (full) {
+    this.states = {};
+  }
+
+  function set(key, state, draw) {
+    if (self.states[key] !== state) {
+      self.states[key] = state;
+      draw(state);
+    }
+  }
+
+  function setPad(x, y, state) {
+    set(x + ',' + y, state, function () {
+      driver.setPad(x, y, state);
+    });
+  }
+
+  _.each(_.range(this.columns), function (x) {
+    var track = song.tracks[x];
+    _.each(_.range(self.rows), function (y) {
+      setPad(x, y, track.clips[y].getState());
+    });
+
+    if (self.bottomRow) {
+      var state;
+      if (self.mode == 'stop') {
+        state = track.playingClip !== null ? 'stop' : 'off';
+      } else {
+        state = track[self.mode] ? 'on' : 'off';
+      }
+      setPad(x, driver.height - 1, state);
+    }
+  });
+
+  _.each(_.range(this.rows), function (y) {
+    setPad(driver.width, y, song.scenes[y].exists ? 'scene' : 'empty');
+  });
+
+  _.each(['up', 'down', 'left', 'right'], function (name) {
+    set(name, 'on', function () {
+      driver.setButton(name, 'on');
+    });
+  });
+
+  _.each(MODES, function (mode) {
+    var state = mode == self.mode ? 'on' : 'off';
+    set(mode, state, function () {
+      driver.setButton(mode, state);
+    });
+  });
+};
+
+/**
+ * Send every pad and button, ex after the controller reconnects
+ */
+SessionView.prototype.refresh = function () {
+  this.render(true);
+};
+
+/**
+ * Stop listening to the song and the driver, called when the song is
+ * destroyed
+ */
+SessionView.prototype.close = function () {
+  var self = this;
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  _.each(this.listeners, function (l) {
+    self.song.eventEmitter.removeListener(l.ev, l.listener);
+  });
+  this.listeners = [];
+  this.driver.removeListener('pad', this.onPad);
+  this.driver.removeListener('button', this.onButton);
+  this.emit('close');
+  this.removeAllListeners();
+};
+
+module.exports = SessionView;
@@ -0,0 +1,194 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var chalk = require('chalk');
+var addressFilter = require('./util').addressFilter;
+
+/**
+ * Log levels, lowest first
+ * @type {Array}
+ */
+var LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Colors of each level in pretty output
+ * @type {Object}
+ */
+var COLORS = {
+  debug: 'grey',
+  info: 'cyan',
+  warn: 'yellow',
+  error: 'red'
+};
+
+/**
+ * Logger, writes OSC traffic and other messages from OSC4Bitwig.  OSC
+ * messages are logged at the debug level with the fields:
+ *
+ *   {direction: 'in', address: '/track/1/volume', args: [100]}
+ *
+ * Any object with a log(level, message, fields) method can be given to
+ * OSC4Bitwig as its logger instead, ex to pass messages on to another
+ * logging library.
+ *
+ * Options are as follows:
+ *
+ * opts.level = lowest level logged, 'debug', 'info', 'warn', 'error' or
+ *   'silent', default 'info'
+ * opts.include = only log these OSC addresses, see util.addressFilter,
+ *   default all
+ * opts.exclude = OSC addresses not to log, ex /\/vu$/
+ * opts.format = 'pretty' for colored text or 'json' for one JSON object
+ *   per line, default 'pretty'
+ * opts.stream = writable stream to log to, default process.stdout
+ *
+ * @constructor
+ * @param {Object} opts options
+ */
+var Logger = function (opts) {
+  opts = opts || {};
+
+  if (opts.level && !_.contains(LEVELS, opts.level)) {
+    throw new Error('unknown log level ' + opts.level + ', use ' + LEVELS.join(', '));
+  }
+
+  /**
+   * Lowest level logged
+   * @type {String}
+   */
+  this.level = opts.level || 'info';
+
+  /**
+   * Tests if an OSC address is logged
+   * @type {Function}
+   */
+  this.include = opts.include ? addressFilter(opts.include) : _.constant(true);
+
+  /**
+   * Tests if an OSC address is left out
+   * @type {Function}
+   */
+  this.exclude = opts.exclude ? addressFilter(opts.exclude) : _.constant(false);
+
+  /**
+   * Output format, 'pretty' or 'json'
+   * @type {String}
+   */
+  this.format = opts.format || 'pretty';
+
+  /**
+   * Stream to log to
+   * @type {Object}
+   */
+  this.stream = opts.stream || process.stdout;
+};
+
+/**
+ * Log levels, lowest first
+ * @type {Array}
+ */
+Logger.LEVELS = LEVELS;
+
+/**
+ * Check if a level is logged
+ * @param  {String}  level level
+ * @return {Boolean} true if logged
+ */
+Logger.prototype.isEnabled = function (level) {
+  return level != 'silent' && LEVELS.indexOf(level) >= LEVELS.indexOf(this.level);
+};
+
+/**
+ * Log a message if its level is enabled and its address, if any, passes
+ * the filters
+ * @param  {String} level   'debug', 'info', 'warn' or 'error'
+ * @param  {String} message message
+ * @param  {Object} fields  extra fields, ex {address, args}
+ */
+Logger.prototype.log = function (level, message, fields) {
+  if (!this.isEnabled(level)) {
+    return;
+  }
+  if (fields && fields.address &&
+      (!this.include(fields.address) || this.exclude(fields.address))) {
+    return;
+  }
+
+  this.write(_.extend({
+    time: new Date().toISOString(),
+    level: level,
+    message: message
+  }, fields));
+};
+
+/**
+ * Log a debug message
+ * @param  {String} message message
+ * @param  {Object} fields  extra fields
+ */
+Logger.prototype.debug = function (message, fields) {
+  this.log('debug', message, fields);
+};
+
+/**
+ * Log an info message
+ * @param  {String} message message
+ * @param  {Object} fields  extra fields
+ */
+Logger.prototype.info = function (message, fields) {
+  this.log('info', message, fields);
+};
+
+/**
+ * Log a warning
+ * @param  {String} message message
+ * @param  {Object} fields  extra fields
+ */
+Logger.prototype.warn = function (message, fields) {
+  this.log('warn', message, fields);
+};
+
+/**
+ * Log an error
+ * @param  {String} message message
+ * @param  {Object} fields  extra fields
+ */
+Logger.prototype.error = function (message, fields) {
+  this.log('error', message, fields);
+};
+
+/**
+ * Write an entry to the stream, override to send entries elsewhere
+ * @param  {Object} entry {time, level, message, ...fields}
+ */
+Logger.prototype.write = function (entry) {
+  this.stream.write((this.format == 'json' ? JSON.stringify(entry) : pretty(entry)) + '\n');
+};
+
+/**
+ * Format an entry as colored text, OSC messages are shown as:
+ *
+ *   From Bitwig: /track/1/volume, 100
+ *     To Bitwig: /track/1/mute, 1
+ *
+ * @param  {Object} entry log entry
+ * @return {String} text
+ */
+function pretty(entry) {
+  if (entry.address) {
+    var line = [entry.address].concat(entry.args || []).join(', ');
+    if (entry.direction == 'in') {
+      return chalk.magenta('From Bitwig: ') + line;
+    }
+    return chalk.green('  To Bitwig: ') + line;
+  }
+
+  var fields = _.omit(entry, 'time', 'level', 'message');
+  return chalk[COLORS[entry.level]](entry.level + ': ') + entry.message +
+    (_.isEmpty(fields) ? '' : ' ' + JSON.stringify(fields));
+}
+
+module.exports = Logger;
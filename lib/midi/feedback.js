@@ -0,0 +1,493 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var fs = require('fs');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
+var checkIndex = require('../util').checkIndex;
+var watchFile = require('../util').watchFile;
+var ports = require('./ports');
+
+/**
+ * Palettes that can be used by name, each maps a state to the value
+ * sent for it.  Clips are empty, stopped, playing, queued or recording,
+ * track buttons are on or off.  blink is sent in the dark half of a
+ * blink.
+ * @type {Object}
+ */
+var PALETTES = {
+  // single color LEDs, or velocity as brightness
+  mono: {
+    empty: 0,
+    stopped: 20,
+    playing: 127,
+    queued: 127,
+    recording: 127,
+    on: 127,
+    off: 0,
+    blink: 0
+  },
+  // Launchpad MK2 / Mini MK3 / X color indexes
+  launchpad: {
+    empty: 0,
+    stopped: 13,
+    playing: 21,
+    queued: 21,
+    recording: 5,
+    on: 9,
+    off: 0,
+    blink: 0
+  }
+};
+
+/**
+ * States that blink
+ * @type {Array}
+ */
+var BLINK = ['queued'];
+
+/**
+ * Clip events that change the state of a clip LED
+ * @type {Array}
+ */
+var CLIP_EVENTS = ['hasContent', 'isPlaying', 'isQueued', 'isRecording'];
+
+/**
+ * Track events that change the state of a track LED
+ * @type {Array}
+ */
+var TRACK_EVENTS = ['mute', 'solo', 'recarm', 'selected'];
+
+/**
+ * Sources LEDs can show, each is a pattern and a function called with
+ * the song and the pattern match that returns a function returning the
+ * current state.  Tracks and clips are numbered from 1 within the
+ * current banks.
+ * @type {Array}
+ */
+var SOURCES = [
+  [/^clip\.(\d+)\.(\d+)$/, function (song, m) {
+    var track = getTrack(song, m[1]);
+    checkIndex('clip', parseInt(m[2], 10), 1, track.clips.length);
+    return function () {
+      return track.clips[m[2] - 1].getState();
+    };
+  }],
+  [/^track\.(\d+)\.(mute|solo|recarm|selected)$/, function (song, m) {
+    var track = getTrack(song, m[1]);
+    return function () {
+      return track[m[2]] ? 'on' : 'off';
+    };
+  }]
+];
+
+/**
+ * Get a track by its position in the track bank
+ * @param  {Object} song Song
+ * @param  {String} id   track number, starting at 1
+ * @return {Object} Track
+ */
+function getTrack(song, id) {
+  checkIndex('track', parseInt(id, 10), 1, song.tracks.length);
+  return song.tracks[id - 1];
+}
+
+/**
+ * MidiFeedback, lights the LEDs of a MIDI controller to show the state
+ * of clips, mutes, solos and record arms.
+ *
+ * LEDs are listed in the feedback list of a mapping file, the same
+ * file used by MidiMapper:
+ *
+ *   {
+ *     "palette": "launchpad",
+ *     "feedback": [
+ *       {"type": "note", "number": 36, "source": "clip.1.1"},
+ *       {"type": "cc", "channel": 2, "number": 48, "source": "track.1.mute"},
+ *       {"type": "note", "number": 49, "source": "track.1.solo", "palette": {"on": 45}},
+ *       {"type": "sysex", "source": "track.1.recarm",
+ *        "message": [240, 0, 32, 41, 2, 13, 3, 0, 11, "value", 247]}
+ *     ]
+ *   }
+ *
+ * Each LED has:
+ *
+ *   type = 'note', 'cc' or 'sysex'
+ *   number = note or CC number
+ *   channel = MIDI channel 1 - 16, default 1
+ *   source = 'clip.<track>.<scene>' or 'track.<n>.mute', solo, recarm
+ *     or selected
+ *   message = SysEx bytes, "value" is replaced with the palette value
+ *   palette = values that replace the palette for this LED
+ *
+ * Options are as follows:
+ *
+ * opts.file = path of a mapping file
+ * opts.watch = reload the mapping file when it changes, default true
+ * opts.feedback = list of LEDs, used instead of a file
+ * opts.palette = name in MidiFeedback.PALETTES or an object of state
+ *   values, default 'mono'
+ * opts.blink = states that blink, default ['queued']
+ * opts.blinkInterval = time in milliseconds between blinks, default 250
+ * opts.output = MIDI output port, an index, part of a port name or a
+ *   port object with sendMessage
+ * opts.virtual = name of a virtual MIDI output port to create instead
+ *
+ * Only LEDs whose value changes are sent.  Call refresh after the
+ * controller reconnects to send every LED again.  It is closed when the
+ * song is destroyed.
+ *
+ * @constructor
+ * @param {Object} song Song to show
+ * @param {Object} opts options
+ */
+var MidiFeedback = function (song, opts) {
+  EventEmitter.call(this);
+
+  opts = opts || {};
+
+  /**
+   * Song being shown
+   * @type {Object}
+   */
+  this.song = song;
+
+  /**
+   * Path of the mapping file
+   * @type {String}
+   */
+  this.file = opts.file;
+
+  /**
+   * Palette used for LEDs without their own
+   * @type {Object}
+   */
+  this.palette = resolvePalette(opts.palette || 'mono');
+
+  /**
+   * States that blink
+   * @type {Array}
+   */
+  this.blink = opts.blink || BLINK;
+
+  /**
+   * Time in milliseconds between blinks
+   * @type {Number}
+   */
+  this.blinkInterval = opts.blinkInterval || 250;
+
+  /**
+   * If blinking LEDs are lit
+   * @type {Boolean}
+   */
+  this.blinkOn = true;
+
+  /**
+   * LEDs with their sources resolved
+   * @type {Array}
+   */
+  this.leds = [];
+
+  /**
+   * Song event listeners, kept so they can be removed
+   * @type {Array}
+   */
+  this.listeners = [];
+
+  /**
+   * If close has been called
+   * @type {Boolean}
+   */
+  this.closed = false;
+
+  if (!_.isUndefined(opts.output) || opts.virtual) {
+    /**
+     * MIDI output port
+     * @type {Object}
+     */
+    this.output = ports.openOutput(opts.output, opts.virtual);
+    this.ownsOutput = !_.isObject(opts.output);
+  }
+
+  if (this.file) {
+    this.load();
+    if (opts.watch !== false) {
+      this.watch();
+    }
+  } else if (opts.feedback) {
+    this.setFeedback(opts.feedback);
+  }
+
+  this.listen();
+};
+
+util.inherits(MidiFeedback, EventEmitter);
+
+/**
+ * Palettes that can be used by name
+ * @type {Object}
+ */
+MidiFeedback.PALETTES = PALETTES;
+
+/**
+ * Get a palette by name, or fill in the states missing from a palette
+ * object
+ * @param  {Mixed}  palette name or object
+ * @return {Object} palette
+ */
+function resolvePalette(palette) {
+  if (_.isString(palette)) {
+    if (!_.has(PALETTES, palette)) {
+      throw new Error('unknown palette ' + palette + ', expected one of ' +
+        _.keys(PALETTES).join(', '));
+    }
+    return PALETTES[palette];
+  }
+  return _.defaults({}, palette, PALETTES.mono);
+}
+
+/**
+ * Replace the LEDs and send all of them.  Every LED is checked before
+ * any are replaced, so a bad LED leaves the current ones in place.
+ * @param  {Array} feedback list of LEDs
+ */
+MidiFeedback.prototype.setFeedback = function (feedback) {
+  var self = this;
+
+  if (!_.isArray(feedback)) {
+    throw new TypeError('feedback must be a list');
+  }
+
+  this.leds = _.map(feedback, function (led, i) {
+    try {
+      return self.bind(led);
+    } catch (err) {
+      err.message = 'feedback ' + (i + 1) + ': ' + err.message;
+      throw err;
+    }
+  });
+  this.refresh();
+};
+
+/**
+ * Check an LED and resolve its source
+ * @param  {Object} led LED
+ * @return {Object} binding
+ */
+MidiFeedback.prototype.bind = function (led) {
+  if (!_.contains(['note', 'cc', 'sysex'], led.type)) {
+    throw new Error('type must be one of note, cc, sysex, got ' + led.type);
+  }
+  if (led.type == 'sysex') {
+    if (!_.isArray(led.message) || !_.contains(led.message, 'value')) {
+      throw new Error('sysex message must be a list of bytes containing "value"');
+    }
+  } else {
+    checkIndex('number', led.number, 0, 127);
+  }
+  if (!_.isUndefined(led.channel)) {
+    checkIndex('channel', led.channel, 1, 16);
+  }
+
+  return {
+    led: led,
+    state: resolveSource(this.song, led.source),
+    palette: led.palette ? _.defaults({}, led.palette, this.palette) : this.palette,
+    value: null
+  };
+};
+
+/**
+ * Resolve a source name
+ * @param  {Object}   song Song
+ * @param  {String}   name source name, ex 'clip.1.1'
+ * @return {Function} returns the current state
+ */
+function resolveSource(song, name) {
+  for (var i = 0; i < SOURCES.length; i++) {
+    var match = SOURCES[i][0].exec(name);
+    if (match) {
+      return SOURCES[i][1](song, match);
+    }
+  }
+  throw new Error('unknown source ' + name);
+}
+
+/**
+ * Read the feedback list and palette from the mapping file
+ */
+MidiFeedback.prototype.load = function () {
+  var config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  if (config.palette) {
+    this.palette = resolvePalette(config.palette);
+  }
+  this.setFeedback(config.feedback || []);
+};
+
+/**
+ * Reload the mapping file whenever it changes.  If the file can't be
+ * read or has a bad LED, the current LEDs are kept and an error event
+ * is emitted, or the error is logged if nothing listens for errors.
+ */
+MidiFeedback.prototype.watch = function () {
+  var self = this;
+
+  // editors often write a file in several steps
+  this.watcher = watchFile(this.file, function () {
+    clearTimeout(self.reloadTimer);
+    self.reloadTimer = setTimeout(function () {
+      try {
+        self.load();
+        self.emit('reload', self.leds.length);
+      } catch (err) {
+        if (self.listenerCount('error')) {
+          return self.emit('error', err);
+        }
+        self.song.bitwig.logger.log('error', 'Could not reload the MIDI feedback', {
+          file: self.file,
+          error: err.message
+        });
+      }
+    }, 100);
+  });
+};
+
+/**
+ * Listen for the song events that change LEDs
+ */
+MidiFeedback.prototype.listen = function () {
+  var self = this;
+
+  // model events are emitted before the model is updated, so wait
+  // for the listener to finish before reading the state
+  function update() {
+    if (self.pending) {
+      return;
+    }
+    self.pending = true;
+    process.nextTick(function () {
+      self.pending = false;
+      if (!self.closed) {
+        self.update();
+      }
+    });
+  }
+
+  // the timers would keep the process running after the song is gone
+  function close() {
+    self.close();
+  }
+
+  var events = _.map(CLIP_EVENTS, function (ev) {
+    return 'clip:' + ev;
+  }).concat(_.map(TRACK_EVENTS, function (ev) {
+    return 'track:' + ev;
+  }), ['trackOffset', 'sceneOffset']);
+
+  _.each(events, function (ev) {
+    self.song.eventEmitter.on(ev, update);
+    self.listeners.push({ev: ev, listener: update});
+  });
+  this.song.eventEmitter.on('destroy', close);
+  this.listeners.push({ev: 'destroy', listener: close});
+};
+
+/**
+ * Send the LEDs whose value changed
+ */
+MidiFeedback.prototype.update = function () {
+  var self = this;
+  var blinking = false;
+
+  _.each(this.leds, function (binding) {
+    var state = binding.state();
+    var value = binding.palette[state];
+
+    if (_.contains(self.blink, state)) {
+      blinking = true;
+      if (!self.blinkOn) {
+        value = binding.palette.blink;
+      }
+    }
+    if (value !== binding.value) {
+      binding.value = value;
+      self.send(binding.led, value);
+    }
+  });
+
+  if (blinking && !this.blinkTimer) {
+    this.blinkTimer = setInterval(function () {
+      self.blinkOn = !self.blinkOn;
+      self.update();
+    }, this.blinkInterval);
+  } else if (!blinking && this.blinkTimer) {
+    clearInterval(this.blinkTimer);
+    this.blinkTimer = null;
+    this.blinkOn = true;
+  }
+};
+
+/**
+ * Send every LED, ex after the controller reconnects
+ */
+MidiFeedback.prototype.refresh = function () {
+  _.each(this.leds, function (binding) {
+    binding.value = null;
+  });
+  this.update();
+};
+
+/**
+ * Send an LED value
+ * @param  {Object} led   LED
+ * @param  {Number} value palette value
+ */
+MidiFeedback.prototype.send = function (led, value) {
+  var channel = (led.channel || 1) - 1;
+  var message;
+
+  if (led.type == 'sysex') {
+    message = _.map(led.message, function (byte) {
+      return byte === 'value' ? value : byte;
+    });
+  } else {
+    message = [(led.type == 'note' ? 0x90 : 0xb0) + channel, led.number, value];
+  }
+
+  this.emit('send', message);
+  if (this.output) {
+    this.output.sendMessage(message);
+  }
+};
+
+/**
+ * Stop listening to the song, stop watching the mapping file and close
+ * the output port
+ */
+MidiFeedback.prototype.close = function () {
+  var self = this;
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  clearTimeout(this.reloadTimer);
+  clearInterval(this.blinkTimer);
+  this.blinkTimer = null;
+  if (this.watcher) {
+    this.watcher.close();
+  }
+  _.each(this.listeners, function (l) {
+    self.song.eventEmitter.removeListener(l.ev, l.listener);
+  });
+  this.listeners = [];
+  if (this.output && this.ownsOutput) {
+    ports.close(this.output);
+  }
+  this.emit('close');
+  this.removeAllListeners();
+};
+
+module.exports = MidiFeedback;
@@ -0,0 +1,615 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var fs = require('fs');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
+var checkIndex = require('../util').checkIndex;
+var watchFile = require('../util').watchFile;
+var ports = require('./ports');
+
+/**
+ * MIDI message types that can be mapped, and the status byte of each
+ * @type {Object}
+ */
+var TYPES = {
+  noteoff: 0x80,
+  note: 0x90,
+  cc: 0xb0,
+  pitchbend: 0xe0
+};
+
+/**
+ * Decoders for relative encoders, each returns the number of steps
+ * turned for a CC value
+ * @type {Object}
+ */
+var ENCODINGS = {
+  // 1 = +1, 127 = -1
+  twosComplement: function (value) {
+    return value < 64 ? value : value - 128;
+  },
+  // 1 = +1, 65 = -1
+  signedBit: function (value) {
+    return value & 0x40 ? -(value & 0x3f) : value;
+  },
+  // 65 = +1, 63 = -1
+  binaryOffset: function (value) {
+    return value - 64;
+  }
+};
+
+/**
+ * Time in milliseconds a relative encoder keeps counting from the value
+ * it last sent, instead of the value reported by Bitwig, so fast turns
+ * don't lose steps while feedback is on its way
+ * @type {Number}
+ */
+var HOLD_TIME = 250;
+
+/**
+ * Create a level target, values are 0.0 - 1.0
+ * @param  {Function} get returns the current value
+ * @param  {Function} set sets a value
+ * @return {Object} target
+ */
+function level(get, set) {
+  return {kind: 'level', min: 0, max: 1, get: get, set: set};
+}
+
+/**
+ * Create an on/off target
+ * @param  {Function} get returns the current state
+ * @param  {Function} set sets a state
+ * @return {Object} target
+ */
+function toggle(get, set) {
+  return {kind: 'toggle', get: get, set: set};
+}
+
+/**
+ * Create a target that fires an action when pressed
+ * @param  {Function} fire fires the action
+ * @return {Object} target
+ */
+function trigger(fire) {
+  return {kind: 'trigger', set: fire};
+}
+
+/**
+ * Targets that can be mapped, each is a pattern and a function called
+ * with the song and the pattern match that returns the target.
+ * Tracks, sends, clips, scenes and device parameters are numbered from
+ * 1 within the current banks.
+ * @type {Array}
+ */
+var TARGETS = [
+  [/^song\.(volume|pan)$/, function (song, m) {
+    var setter = m[1] == 'volume' ? 'setVolume' : 'setPan';
+    return level(function () {
+      return song.bitwig.scale.fromRaw(song[m[1]]);
+    }, function (value) {
+      return song[setter]({normalized: value});
+    });
+  }],
+  [/^song\.tempo$/, function (song) {
+    return {
+      kind: 'value',
+      min: 20,
+      max: 666,
+      get: function () {
+        return song.tempo;
+      },
+      set: function (value) {
+        // /tempo/raw takes whole beats per minute
+        return song.setTempo(Math.round(value));
+      }
+    };
+  }],
+  [/^song\.(click|overdub|punchIn|punchOut)$/, function (song, m) {
+    var setter = 'set' + m[1][0].toUpperCase() + m[1].slice(1);
+    return toggle(function () {
+      return song[m[1]];
+    }, function (state) {
+      return song[setter](state ? 1 : 0);
+    });
+  }],
+  [/^song\.loop$/, function (song) {
+    return toggle(function () {
+      return song.looping;
+    }, function (state) {
+      if (state) {
+        song.loop(true);
+      } else if (song.looping) {
+        song.loop();
+      }
+    });
+  }],
+  [/^song\.(play|stop|record|toggleFxBypass|launchNextScene|launchPrevScene|nextTrackPage|prevTrackPage|nextScenePage|prevScenePage)$/, function (song, m) {
+    return trigger(function () {
+      return song[m[1]]();
+    });
+  }],
+  [/^track\.(\d+)\.(volume|pan)$/, function (song, m) {
+    var track = getTrack(song, m[1]);
+    var setter = m[2] == 'volume' ? 'setVolume' : 'setPan';
+    return level(function () {
+      return song.bitwig.scale.fromRaw(track[m[2]]);
+    }, function (value) {
+      return track[setter]({normalized: value});
+    });
+  }],
+  [/^track\.(\d+)\.send\.(\d+)$/, function (song, m) {
+    var track = getTrack(song, m[1]);
+    var send = parseInt(m[2], 10) - 1;
+    checkIndex('send', send + 1, 1, track.sends.length);
+    return level(function () {
+      return song.bitwig.scale.fromRaw(track.sends[send].volume);
+    }, function (value) {
+      return track.setSendVolume(send, {normalized: value});
+    });
+  }],
+  [/^track\.(\d+)\.(mute|solo|recarm)$/, function (song, m) {
+    var track = getTrack(song, m[1]);
+    var setter = 'set' + m[2][0].toUpperCase() + m[2].slice(1);
+    return toggle(function () {
+      return track[m[2]];
+    }, function (state) {
+      return track[setter](state ? 1 : 0);
+    });
+  }],
+  [/^track\.(\d+)\.stop$/, function (song, m) {
+    var track = getTrack(song, m[1]);
+    return trigger(function () {
+      return track.stopClips();
+    });
+  }],
+  [/^clip\.(\d+)\.(\d+)\.(launch|stop|record|select|delete|duplicate)$/, function (song, m) {
+    var track = getTrack(song, m[1]);
+    checkIndex('clip', parseInt(m[2], 10), 1, track.clips.length);
+    return trigger(function () {
+      return track.clips[m[2] - 1][m[3]]();
+    });
+  }],
+  [/^scene\.(\d+)\.launch$/, function (song, m) {
+    var scene = parseInt(m[1], 10);
+    checkIndex('scene', scene, 1, song.scenes.length);
+    return trigger(function () {
+      return song.launchScene(scene);
+    });
+  }],
+  [/^device\.param\.(\d+)$/, function (song, m) {
+    var device = song.device;
+    var param = parseInt(m[1], 10) - 1;
+    checkIndex('param', param + 1, 1, device.params.length);
+    return level(function () {
+      return song.bitwig.scale.fromRaw(device.params[param].value || 0);
+    }, function (value) {
+      return device.set(param, song.bitwig.scale.toRaw({normalized: value}));
+    });
+  }],
+  [/^device\.bypass$/, function (song) {
+    return toggle(function () {
+      return song.device.bypass;
+    }, function (state) {
+      return song.device.setBypass(state);
+    });
+  }],
+  [/^device\.(next|prev|nextPage|prevPage)$/, function (song, m) {
+    return trigger(function () {
+      return song.device[m[1]]();
+    });
+  }]
+];
+
+/**
+ * Get a track by its position in the track bank
+ * @param  {Object} song Song
+ * @param  {String} id   track number, starting at 1
+ * @return {Object} Track
+ */
+function getTrack(song, id) {
+  checkIndex('track', parseInt(id, 10), 1, song.tracks.length);
+  return song.tracks[id - 1];
+}
+
+/**
+ * MidiMapper, maps knobs, faders and pads of a MIDI controller to
+ * Song, Track, Clip and device actions with a declarative mapping file.
+ *
+ * A mapping file is JSON, either a list of mappings or an object with
+ * a mappings list:
+ *
+ *   {
+ *     "mappings": [
+ *       {"type": "cc", "channel": 1, "number": 7, "target": "track.1.volume"},
+ *       {"type": "cc", "number": 16, "target": "track.1.pan", "mode": "relative"},
+ *       {"type": "note", "number": 36, "target": "clip.1.1.launch"},
+ *       {"type": "note", "number": 40, "target": "track.1.mute", "button": "momentary"}
+ *     ]
+ *   }
+ *
+ * Each mapping has:
+ *
+ *   type = 'cc', 'note' or 'pitchbend'
+ *   number = CC or note number, not used for pitchbend
+ *   channel = MIDI channel 1 - 16, default any
+ *   target = what to control, see below
+ *   mode = 'absolute' or 'relative' for encoders, default 'absolute'
+ *   encoding = relative encoding, 'twosComplement', 'signedBit' or
+ *     'binaryOffset', default 'twosComplement'
+ *   step = amount a relative encoder changes the value per step,
+ *     default 1/127 of the range
+ *   button = 'toggle' or 'momentary' for on/off targets, default 'toggle'
+ *   min, max = range the control is scaled to, default 0.0 - 1.0 for
+ *     levels and 20 - 666 for tempo
+ *   invert = reverse the direction of the control
+ *
+ * Targets are:
+ *
+ *   song.volume, song.pan, song.tempo
+ *   song.click, song.overdub, song.punchIn, song.punchOut, song.loop
+ *   song.play, song.stop, song.record, song.toggleFxBypass,
+ *   song.launchNextScene, song.launchPrevScene, song.nextTrackPage,
+ *   song.prevTrackPage, song.nextScenePage, song.prevScenePage
+ *   track.<n>.volume, track.<n>.pan, track.<n>.send.<n>
+ *   track.<n>.mute, track.<n>.solo, track.<n>.recarm, track.<n>.stop
+ *   clip.<track>.<scene>.launch, stop, record, select, delete, duplicate
+ *   scene.<n>.launch
+ *   device.param.<n>, device.bypass, device.next, device.prev,
+ *   device.nextPage, device.prevPage
+ *
+ * Options are as follows:
+ *
+ * opts.file = path of a mapping file
+ * opts.watch = reload the mapping file when it changes, default true
+ * opts.mappings = list of mappings, used instead of a file
+ * opts.input = MIDI input port, an index or part of a port name
+ * opts.virtual = name of a virtual MIDI input port to create instead,
+ *   for software that sends MIDI
+ *
+ * Without an input or virtual port, messages can be passed to receive.
+ * The midi module is only loaded when a port is opened.  The mapper is
+ * closed when the song is destroyed.
+ *
+ * @constructor
+ * @param {Object} song Song to control
+ * @param {Object} opts options
+ */
+var MidiMapper = function (song, opts) {
+  EventEmitter.call(this);
+
+  opts = opts || {};
+
+  /**
+   * Song being controlled
+   * @type {Object}
+   */
+  this.song = song;
+
+  /**
+   * Path of the mapping file
+   * @type {String}
+   */
+  this.file = opts.file;
+
+  /**
+   * Mappings with their targets resolved
+   * @type {Array}
+   */
+  this.bindings = [];
+
+  /**
+   * If close has been called
+   * @type {Boolean}
+   */
+  this.closed = false;
+
+  var self = this;
+
+  // the file watcher and the input would outlive the song
+  this.onDestroy = function () {
+    self.close();
+  };
+  song.eventEmitter.on('destroy', this.onDestroy);
+
+  if (this.file) {
+    this.load();
+    if (opts.watch !== false) {
+      this.watch();
+    }
+  } else if (opts.mappings) {
+    this.setMappings(opts.mappings);
+  }
+
+  if (!_.isUndefined(opts.input) || opts.virtual) {
+    /**
+     * MIDI input port
+     * @type {Object}
+     */
+    this.input = ports.openInput(opts.input, opts.virtual);
+    this.ownsInput = !_.isObject(opts.input);
+    this.input.on('message', function (deltaTime, message) {
+      self.receive(message);
+    });
+  }
+};
+
+util.inherits(MidiMapper, EventEmitter);
+
+/**
+ * Encodings understood by relative encoders
+ * @type {Object}
+ */
+MidiMapper.ENCODINGS = ENCODINGS;
+
+/**
+ * Replace the mappings.  Every mapping is checked before any are
+ * replaced, so a bad mapping leaves the current mappings in place.
+ * @param  {Array} mappings list of mappings
+ */
+MidiMapper.prototype.setMappings = function (mappings) {
+  var self = this;
+
+  if (!_.isArray(mappings)) {
+    throw new TypeError('mappings must be a list');
+  }
+
+  this.bindings = _.map(mappings, function (mapping, i) {
+    try {
+      return self.bind(mapping);
+    } catch (err) {
+      err.message = 'mapping ' + (i + 1) + ': ' + err.message;
+      throw err;
+    }
+  });
+};
+
+/**
+ * Check a mapping and resolve its target
+ * @param  {Object} mapping mapping
+ * @return {Object} binding
+ */
+MidiMapper.prototype.bind = function (mapping) {
+  if (!_.has(TYPES, mapping.type) || mapping.type == 'noteoff') {
+    throw new Error('type must be one of cc, note, pitchbend, got ' + mapping.type);
+  }
+  if (mapping.type != 'pitchbend') {
+    checkIndex('number', mapping.number, 0, 127);
+  }
+  if (!_.isUndefined(mapping.channel)) {
+    checkIndex('channel', mapping.channel, 1, 16);
+  }
+
+  var target = resolveTarget(this.song, mapping.target);
+  var mode = mapping.mode || 'absolute';
+  var button = mapping.button || 'toggle';
+  var encoding = mapping.encoding || 'twosComplement';
+
+  if (mode != 'absolute' && mode != 'relative') {
+    throw new Error('mode must be absolute or relative, got ' + mode);
+  }
+  if (mode == 'relative' && !_.has(ENCODINGS, encoding)) {
+    throw new Error('encoding must be one of ' + _.keys(ENCODINGS).join(', ') +
+      ', got ' + encoding);
+  }
+  if (button != 'toggle' && button != 'momentary') {
+    throw new Error('button must be toggle or momentary, got ' + button);
+  }
+
+  var min = _.isNumber(mapping.min) ? mapping.min : target.min;
+  var max = _.isNumber(mapping.max) ? mapping.max : target.max;
+
+  return {
+    mapping: mapping,
+    target: target,
+    mode: mode,
+    encoding: encoding,
+    button: button,
+    min: min,
+    max: max,
+    step: _.isNumber(mapping.step) ? mapping.step : (max - min) / 127,
+    value: null,
+    time: 0
+  };
+};
+
+/**
+ * Resolve a target name
+ * @param  {Object} song Song
+ * @param  {String} name target name, ex 'track.1.volume'
+ * @return {Object} target
+ */
+function resolveTarget(song, name) {
+  for (var i = 0; i < TARGETS.length; i++) {
+    var match = TARGETS[i][0].exec(name);
+    if (match) {
+      return TARGETS[i][1](song, match);
+    }
+  }
+  throw new Error('unknown target ' + name);
+}
+
+/**
+ * Read the mapping file
+ */
+MidiMapper.prototype.load = function () {
+  var config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  this.setMappings(_.isArray(config) ? config : config.mappings);
+};
+
+/**
+ * Reload the mapping file whenever it changes.  If the file can't be
+ * read or has a bad mapping, the current mappings are kept and an
+ * error event is emitted, or the error is logged if nothing listens
+ * for errors.
+ */
+MidiMapper.prototype.watch = function () {
+  var self = this;
+
+  // editors often write a file in several steps
+  this.watcher = watchFile(this.file, function () {
+    clearTimeout(self.reloadTimer);
+    self.reloadTimer = setTimeout(function () {
+      try {
+        self.load();
+        self.emit('reload', self.bindings.length);
+      } catch (err) {
+        if (self.listenerCount('error')) {
+          return self.emit('error', err);
+        }
+        self.song.bitwig.logger.log('error', 'Could not reload the MIDI mapping', {
+          file: self.file,
+          error: err.message
+        });
+      }
+    }, 100);
+  });
+};
+
+/**
+ * Handle a MIDI message from the controller
+ * @param  {Array} message MIDI bytes, ex [0xb0, 7, 100]
+ */
+MidiMapper.prototype.receive = function (message) {
+  var self = this;
+  var status = message[0] & 0xf0;
+  var channel = (message[0] & 0x0f) + 1;
+  var type = _.invert(TYPES)[status];
+  var number = message[1];
+  var value = message[2];
+  var pressed = value > 0;
+
+  if (type == 'noteoff') {
+    type = 'note';
+    pressed = false;
+  }
+  if (type == 'pitchbend') {
+    number = undefined;
+    value = message[1] | (message[2] << 7);
+  }
+
+  _.each(this.bindings, function (binding) {
+    var mapping = binding.mapping;
+    if (mapping.type != type || mapping.number !== number ||
+        (mapping.channel && mapping.channel != channel)) {
+      return;
+    }
+    self.apply(binding, value, pressed);
+  });
+};
+
+/**
+ * Apply a control value to a binding's target
+ * @param  {Object}  binding binding
+ * @param  {Number}  value   MIDI value
+ * @param  {Boolean} pressed if a button is down
+ */
+MidiMapper.prototype.apply = function (binding, value, pressed) {
+  var target = binding.target;
+  var mapping = binding.mapping;
+  var result;
+
+  if (target.kind == 'trigger') {
+    if (!pressed) {
+      return;
+    }
+    value = true;
+    result = target.set();
+  } else if (target.kind == 'toggle') {
+    if (binding.button == 'momentary') {
+      value = pressed;
+    } else if (pressed) {
+      value = !target.get();
+    } else {
+      return;
+    }
+    result = target.set(value);
+  } else {
+    // note offs have no position
+    if (mapping.type == 'note' && !pressed && binding.mode == 'absolute') {
+      return;
+    }
+    value = binding.mode == 'relative' ?
+      this.relativeValue(binding, value) :
+      this.absoluteValue(binding, value);
+    binding.value = value;
+    binding.time = Date.now();
+    result = target.set(value);
+  }
+
+  this.emit('action', {
+    target: mapping.target,
+    value: value,
+    mapping: mapping
+  });
+
+  // a later message replaces this value, so a missed confirmation
+  // doesn't matter
+  if (result && result.catch) {
+    result.catch(_.noop);
+  }
+};
+
+/**
+ * Scale an absolute control value to the binding's range
+ * @param  {Object} binding binding
+ * @param  {Number} value   MIDI value
+ * @return {Number} target value
+ */
+MidiMapper.prototype.absoluteValue = function (binding, value) {
+  var x = value / (binding.mapping.type == 'pitchbend' ? 16383 : 127);
+  if (binding.mapping.invert) {
+    x = 1 - x;
+  }
+  return binding.min + x * (binding.max - binding.min);
+};
+
+/**
+ * Add the steps turned on a relative encoder to the current value
+ * @param  {Object} binding binding
+ * @param  {Number} value   MIDI value
+ * @return {Number} target value
+ */
+MidiMapper.prototype.relativeValue = function (binding, value) {
+  var steps = ENCODINGS[binding.encoding](value);
+  var current = Date.now() - binding.time < HOLD_TIME ?
+    binding.value :
+    binding.target.get();
+  var low = Math.min(binding.min, binding.max);
+  var high = Math.max(binding.min, binding.max);
+
+  if (binding.mapping.invert) {
+    steps = -steps;
+  }
+  return Math.min(high, Math.max(low, current + steps * binding.step));
+};
+
+/**
+ * Stop watching the mapping file and close the input port, called when
+ * the song is destroyed
+ */
+MidiMapper.prototype.close = function () {
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  this.song.eventEmitter.removeListener('destroy', this.onDestroy);
+  clearTimeout(this.reloadTimer);
+  if (this.watcher) {
+    this.watcher.close();
+  }
+  if (this.input) {
+    this.input.removeAllListeners('message');
+    if (this.ownsInput) {
+      ports.close(this.input);
+    }
+  }
+  this.emit('close');
+  this.removeAllListeners();
+};
+
+module.exports = MidiMapper;
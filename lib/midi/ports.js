@@ -0,0 +1,108 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var midi;
+
+/**
+ * Load the midi module the first time a port is opened, so OSC4Bitwig
+ * can be used without it being built
+ * @return {Object} midi module
+ */
+function load() {
+  if (!midi) {
+    try {
+      midi = require('midi');
+    } catch (err) {
+      throw new Error('the midi module is required to open MIDI ports: ' +
+        err.message.split('\n')[0]);
+    }
+  }
+  return midi;
+}
+
+/**
+ * Find a port by index or by part of its name
+ * @param  {Object} io   midi input or output
+ * @param  {Mixed}  port port index or name
+ * @return {Number} port index
+ */
+function findPort(io, port) {
+  var count = io.getPortCount();
+  var names = [];
+
+  if (typeof port == 'number') {
+    if (port >= 0 && port < count) {
+      return port;
+    }
+  } else {
+    for (var i = 0; i < count; i++) {
+      names.push(io.getPortName(i));
+      if (names[i].toLowerCase().indexOf(String(port).toLowerCase()) != -1) {
+        return i;
+      }
+    }
+  }
+
+  throw new Error('MIDI port ' + port + ' not found, available ports are: ' +
+    (names.join(', ') || 'none'));
+}
+
+/**
+ * Open a port.  Port is an index, part of a port name, or an object
+ * that is already a port and is returned as is.  If virtual is given,
+ * a virtual port with that name is created instead.
+ * @param  {String} type    'input' or 'output'
+ * @param  {Mixed}  port    port index, name or object
+ * @param  {String} virtual name of a virtual port to create
+ * @return {Object} midi input or output
+ */
+function open(type, port, virtual) {
+  if (port && typeof port == 'object') {
+    return port;
+  }
+
+  var io = new (load()[type])();
+  if (virtual) {
+    io.openVirtualPort(virtual);
+  } else {
+    io.openPort(findPort(io, port));
+  }
+  return io;
+}
+
+/**
+ * Open an input port, sysex, timing and active sensing messages are
+ * ignored
+ * @param  {Mixed}  port    port index, name or object
+ * @param  {String} virtual name of a virtual port to create
+ * @return {Object} midi input
+ */
+exports.openInput = function (port, virtual) {
+  var input = open('input', port, virtual);
+  if (input.ignoreTypes) {
+    input.ignoreTypes(true, true, true);
+  }
+  return input;
+};
+
+/**
+ * Open an output port
+ * @param  {Mixed}  port    port index, name or object
+ * @param  {String} virtual name of a virtual port to create
+ * @return {Object} midi output
+ */
+exports.openOutput = function (port, virtual) {
+  return open('output', port, virtual);
+};
+
+/**
+ * Close a port opened with openInput or openOutput
+ * @param  {Object} io midi input or output
+ */
+exports.close = function (io) {
+  if (io && io.closePort) {
+    io.closePort();
+  }
+};
@@ -0,0 +1,318 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var EventEmitter = require('events').EventEmitter;
+var snapshot = require('./snapshot');
+
+/**
+ * Morph object, crossfades mixer and device values from the current
+ * state of the song to a snapshot over time.
+ *
+ * Options are as follows:
+ *
+ * opts.duration = length of the morph in milliseconds
+ * opts.beats = length of the morph in beats at the current tempo,
+ *   used instead of duration
+ * opts.curve = name of a curve in Morph.CURVES or a function that maps
+ *   0.0 - 1.0 to 0.0 - 1.0, default 'linear'
+ * opts.interval = time between steps in milliseconds, default 50
+ * opts.tracks = project track numbers to morph, starting at 1,
+ *   default all
+ * opts.master = morph master volume and pan, default true
+ *
+ * Only values that changed since the last step are sent, so slow
+ * morphs send few messages.
+ *
+ * @constructor
+ * @param {Object} song   Song to morph
+ * @param {Object} target snapshot from Song.snapshot
+ * @param {Object} opts   options
+ */
+var Morph = function (song, target, opts) {
+  opts = opts || {};
+
+  /**
+   * Song being morphed
+   * @type {Object}
+   */
+  this.song = song;
+
+  /**
+   * Length of the morph in milliseconds
+   * @type {Number}
+   */
+  this.duration = _.isNumber(opts.beats) ?
+    song.toSeconds(opts.beats) * 1000 :
+    opts.duration || 0;
+
+  /**
+   * Curve applied to the progress
+   * @type {Function}
+   */
+  this.curve = _.isFunction(opts.curve) ? opts.curve : Morph.CURVES[opts.curve || 'linear'];
+
+  if (!this.curve) {
+    throw new Error('unknown curve ' + opts.curve + ', expected one of ' +
+      _.keys(Morph.CURVES).join(', '));
+  }
+
+  /**
+   * Time between steps in milliseconds
+   * @type {Number}
+   */
+  this.interval = opts.interval || 50;
+
+  /**
+   * Progress of the morph, 0.0 - 1.0
+   * @type {Number}
+   */
+  this.progress = 0;
+
+  /**
+   * If the morph is running
+   * @type {Boolean}
+   */
+  this.running = false;
+
+  /**
+   * Values being morphed, see buildLanes
+   * @type {Array}
+   */
+  this.lanes = buildLanes(song, target, opts);
+
+  /**
+   * EventEmitter for morph events
+   * @type {EventEmitter}
+   */
+  this.eventEmitter = new EventEmitter();
+
+  var self = this;
+
+  /**
+   * Resolves with true when the morph completes, false if cancelled
+   * @type {Promise}
+   */
+  this.promise = new Promise(function (resolve) {
+    self.resolve = resolve;
+  });
+};
+
+/**
+ * Curves that can be used by name
+ * @type {Object}
+ */
+Morph.CURVES = {
+  linear: function (t) {
+    return t;
+  },
+  easeIn: function (t) {
+    return t * t;
+  },
+  easeOut: function (t) {
+    return t * (2 - t);
+  },
+  easeInOut: function (t) {
+    return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+  },
+  sine: function (t) {
+    return (1 - Math.cos(t * Math.PI)) / 2;
+  }
+};
+
+/**
+ * Build the list of values to morph, each lane is:
+ *
+ *   {
+ *     from: 100,                 // raw start value
+ *     to: 800,                   // raw target value
+ *     last: 100,                 // last raw value sent
+ *     set: function (raw) {}     // sends a raw value
+ *   }
+ *
+ * @param  {Object} song   Song to morph
+ * @param  {Object} target snapshot
+ * @param  {Object} opts   morph options
+ * @return {Array} lanes
+ */
+function buildLanes(song, target, opts) {
+  var scale = song.bitwig.scale;
+  var lanes = [];
+
+  // convert a raw value from the snapshot resolution to the current one
+  function toRaw(raw) {
+    return scale.toRaw({normalized: raw / (target.resolution - 1)});
+  }
+
+  function add(from, to, set) {
+    if (!_.isNumber(from) || !_.isNumber(to) || from === to) {
+      return;
+    }
+    lanes.push({
+      from: from,
+      to: to,
+      last: from,
+      set: set
+    });
+  }
+
+  if (opts.master !== false) {
+    add(song.volume, toRaw(target.master.volume), function (raw) {
+      return song.setVolume({raw: raw});
+    });
+    add(song.pan, toRaw(target.master.pan), function (raw) {
+      return song.setPan({raw: raw});
+    });
+  }
+
+  _.each(target.tracks, function (saved) {
+    var track = snapshot.findTrack(song, saved, opts.tracks);
+    if (!track) {
+      return;
+    }
+    add(track.volume, toRaw(saved.volume), function (raw) {
+      return track.setVolume({raw: raw});
+    });
+    add(track.pan, toRaw(saved.pan), function (raw) {
+      return track.setPan({raw: raw});
+    });
+    _.each(saved.sends, function (volume, i) {
+      if (i < track.sends.length) {
+        add(track.sends[i].volume, toRaw(volume), function (raw) {
+          return track.setSendVolume(i, {raw: raw});
+        });
+      }
+    });
+  });
+
+  if (target.device.name == song.device.name) {
+    _.each(target.device.params, function (saved) {
+      var param = song.device.params[saved.id];
+      if (param) {
+        add(param.value, snapshot.convert(saved.value, target.resolution, scale.resolution), function (value) {
+          return song.device.set(saved.id, value);
+        });
+      }
+    });
+  }
+
+  return lanes;
+}
+
+/**
+ * Start the morph
+ * @return {Morph} this morph
+ */
+Morph.prototype.start = function () {
+  var self = this;
+  this.running = true;
+  this.startTime = Date.now();
+  this.timer = setInterval(function () {
+    self.step();
+  }, this.interval);
+
+  // give the caller a chance to listen for events first
+  process.nextTick(function () {
+    if (!self.running) {
+      return;
+    }
+    self.emitEvent('start', {
+      duration: self.duration
+    });
+    self.step();
+  });
+  return this;
+};
+
+/**
+ * Send the interpolated values for the current time
+ */
+Morph.prototype.step = function () {
+  var elapsed = Date.now() - this.startTime;
+  var t = this.duration > 0 ? Math.min(1, elapsed / this.duration) : 1;
+  var k = this.curve(t);
+
+  _.each(this.lanes, function (lane) {
+    var value = Math.round(lane.from + (lane.to - lane.from) * k);
+    if (value === lane.last) {
+      return;
+    }
+    lane.last = value;
+    var result = lane.set(value);
+    // later steps replace this value, so a missed confirmation
+    // doesn't matter
+    if (result) {
+      result.catch(_.noop);
+    }
+  });
+
+  this.emitEvent('progress', {
+    value: t,
+    prev: this.progress,
+    elapsed: elapsed
+  });
+  this.progress = t;
+
+  if (t >= 1) {
+    this.finish(true);
+  }
+};
+
+/**
+ * Stop the morph where it is
+ */
+Morph.prototype.cancel = function () {
+  if (!this.running) {
+    return;
+  }
+  this.emitEvent('cancel', {
+    value: this.progress
+  });
+  this.finish(false);
+};
+
+/**
+ * Stop stepping and resolve the promise
+ * @param  {Boolean} completed false if cancelled
+ */
+Morph.prototype.finish = function (completed) {
+  this.running = false;
+  clearInterval(this.timer);
+  if (completed) {
+    this.emitEvent('done', {
+      value: this.progress
+    });
+  }
+  this.resolve(completed);
+  this.eventEmitter.removeAllListeners();
+};
+
+/**
+ * Listen for a morph event, current events are:
+ *
+ *   start
+ *   progress
+ *     fired after every step, value is 0.0 - 1.0
+ *   done
+ *   cancel
+ *
+ * @param  {String}   ev event name
+ * @param  {Function} cb callback
+ */
+Morph.prototype.on = function (ev, cb) {
+  this.eventEmitter.on(ev, cb);
+};
+
+/**
+ * Emit a morph event
+ * @param  {String} ev     event name
+ * @param  {Object} params event parameters
+ */
+Morph.prototype.emitEvent = function (ev, params) {
+  this.eventEmitter.emit(ev, params);
+  this.song.eventEmitter.emit('morph:' + ev, params);
+};
+
+module.exports = Morph;
@@ -0,0 +1,168 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var fs = require('fs');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
+var addressFilter = require('../util').addressFilter;
+
+/**
+ * Player, replays the messages Bitwig sent in a recording made with
+ * Recorder, so Song, Track and Clip events can be reproduced without
+ * Bitwig.  Messages are fed to the transport of an OSC4Bitwig instance
+ * as if they had just arrived, use one with a LoopbackTransport that
+ * has no peer so nothing is sent anywhere:
+ *
+ *   var bitwig = new OSC4Bitwig({transport: new LoopbackTransport()});
+ *
+ * Outgoing messages in the recording are skipped.
+ *
+ * Options are as follows:
+ *
+ * opts.file = recording to replay
+ * opts.messages = recorded messages to replay instead of a file
+ * opts.speed = playback speed, 2 plays twice as fast, Infinity plays
+ *   without waiting, default 1
+ * opts.filter = addresses to replay, see util.addressFilter, default all
+ * opts.exclude = addresses not to replay
+ *
+ * @constructor
+ * @param {Object} bitwig OSC4Bitwig instance
+ * @param {Object} opts   options
+ */
+var Player = function (bitwig, opts) {
+  EventEmitter.call(this);
+
+  opts = opts || {};
+
+  /**
+   * Transport messages are replayed to
+   * @type {Transport}
+   */
+  this.transport = bitwig.transport;
+
+  /**
+   * Playback speed
+   * @type {Number}
+   */
+  this.speed = opts.speed || 1;
+
+  var include = opts.filter ? addressFilter(opts.filter) : _.constant(true);
+  var exclude = opts.exclude ? addressFilter(opts.exclude) : _.constant(false);
+
+  /**
+   * Messages to replay
+   * @type {Array}
+   */
+  this.messages = _.filter(opts.messages || Player.read(opts.file), function (message) {
+    return message.direction == 'in' &&
+      include(message.address) && !exclude(message.address);
+  });
+
+  /**
+   * Index of the next message to replay
+   * @type {Number}
+   */
+  this.position = 0;
+
+  /**
+   * Timer for the next message
+   * @type {Object}
+   */
+  this.timer = null;
+
+  /**
+   * Ends the current playback, null when not playing
+   * @type {Function}
+   */
+  this.finish = null;
+};
+
+util.inherits(Player, EventEmitter);
+
+/**
+ * Read a recording
+ * @param  {String} file recording made with Recorder
+ * @return {Array} messages
+ */
+Player.read = function (file) {
+  var lines = fs.readFileSync(file, 'utf8').split('\n');
+  var messages = [];
+
+  lines.forEach(function (line, i) {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      messages.push(JSON.parse(line));
+    } catch (err) {
+      throw new Error(file + ':' + (i + 1) + ': ' + err.message);
+    }
+  });
+
+  return messages;
+};
+
+/**
+ * Replay the messages, starting with the first one right away and
+ * keeping the time between them
+ * @return {Promise} resolves with the number of messages replayed when
+ *                   the end is reached or the player is stopped
+ */
+Player.prototype.play = function () {
+  var self = this;
+
+  this.stop();
+
+  return new Promise(function (resolve) {
+    var messages = self.messages;
+    var offset = messages.length ? messages[0].time : 0;
+    var start = Date.now();
+
+    self.position = 0;
+    self.finish = function () {
+      self.finish = null;
+      self.emit('end', self.position);
+      resolve(self.position);
+    };
+
+    function due(message) {
+      return (message.time - offset) / self.speed;
+    }
+
+    function tick() {
+      var elapsed = Date.now() - start;
+      while (self.position < messages.length && due(messages[self.position]) <= elapsed) {
+        var message = messages[self.position++];
+        self.transport.receive(message.address, message.args);
+        self.emit('message', message);
+        // a listener may have stopped the player
+        if (!self.finish) {
+          return;
+        }
+      }
+      if (self.position == messages.length) {
+        return self.finish();
+      }
+      self.timer = setTimeout(tick, due(messages[self.position]) - elapsed);
+    }
+
+    tick();
+  });
+};
+
+/**
+ * Stop replaying, the promise returned by play resolves
+ */
+Player.prototype.stop = function () {
+  clearTimeout(this.timer);
+  this.timer = null;
+  if (this.finish) {
+    this.finish();
+  }
+};
+
+module.exports = Player;
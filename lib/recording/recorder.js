@@ -0,0 +1,166 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var fs = require('fs');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
+var addressFilter = require('../util').addressFilter;
+var argValues = require('../util').argValues;
+
+/**
+ * Recorder, writes every message OSC4Bitwig sends and receives to a
+ * JSON lines file, one message per line:
+ *
+ *   {"time": 12, "direction": "in", "address": "/track/1/volume", "args": [100]}
+ *
+ * time is milliseconds since recording started, direction is 'in' for
+ * messages from Bitwig and 'out' for messages to Bitwig.  Arguments are
+ * recorded as plain values in both directions.  Recordings are played
+ * back with Player.
+ *
+ * Options are as follows:
+ *
+ * opts.file = file to write, it is replaced if it exists
+ * opts.stream = writable stream to write to instead of a file
+ * opts.filter = addresses to record, see util.addressFilter, default all
+ * opts.exclude = addresses not to record, ex /\/vu$/
+ * opts.direction = 'in', 'out' or 'both', default 'both'
+ *
+ * @constructor
+ * @param {Object} bitwig OSC4Bitwig instance
+ * @param {Object} opts   options
+ */
+var Recorder = function (bitwig, opts) {
+  EventEmitter.call(this);
+
+  opts = opts || {};
+
+  /**
+   * Transport being recorded
+   * @type {Transport}
+   */
+  this.transport = bitwig.transport;
+
+  /**
+   * Directions being recorded
+   * @type {String}
+   */
+  this.direction = opts.direction || 'both';
+
+  /**
+   * Tests if an address is recorded
+   * @type {Function}
+   */
+  this.include = opts.filter ? addressFilter(opts.filter) : _.constant(true);
+
+  /**
+   * Tests if an address is left out
+   * @type {Function}
+   */
+  this.exclude = opts.exclude ? addressFilter(opts.exclude) : _.constant(false);
+
+  /**
+   * Stream the recording is written to
+   * @type {Object}
+   */
+  this.stream = opts.stream || (opts.file && fs.createWriteStream(opts.file));
+
+  /**
+   * If the stream was opened by the recorder and is closed with it
+   * @type {Boolean}
+   */
+  this.ownsStream = !opts.stream && !!opts.file;
+
+  /**
+   * Number of messages recorded
+   * @type {Number}
+   */
+  this.count = 0;
+
+  /**
+   * Time recording started
+   * @type {Number}
+   */
+  this.startTime = Date.now();
+
+  /**
+   * If the recorder has been stopped
+   * @type {Boolean}
+   */
+  this.stopped = false;
+
+  var self = this;
+
+  if (this.stream) {
+    this.stream.on('error', function (err) {
+      self.emit('error', err);
+    });
+  }
+
+  this.messageListener = function (address) {
+    self.write('in', address, Array.prototype.slice.call(arguments, 1));
+  };
+  this.sendListener = function (address) {
+    self.write('out', address, argValues(Array.prototype.slice.call(arguments, 1)));
+  };
+  this.transport.on('message', this.messageListener);
+  this.transport.on('send', this.sendListener);
+};
+
+util.inherits(Recorder, EventEmitter);
+
+/**
+ * Record a message if it passes the filters
+ * @param  {String} direction 'in' or 'out'
+ * @param  {String} address   OSC address
+ * @param  {Array}  args      arguments
+ */
+Recorder.prototype.write = function (direction, address, args) {
+  if (this.stopped ||
+      (this.direction != 'both' && this.direction != direction) ||
+      !this.include(address) || this.exclude(address)) {
+    return;
+  }
+
+  var message = {
+    time: Date.now() - this.startTime,
+    direction: direction,
+    address: address,
+    args: args
+  };
+
+  this.count++;
+  if (this.stream) {
+    this.stream.write(JSON.stringify(message) + '\n');
+  }
+  this.emit('message', message);
+};
+
+/**
+ * Stop recording, closes the file if the recorder opened it
+ * @return {Promise} resolves when everything has been written
+ */
+Recorder.prototype.stop = function () {
+  var self = this;
+
+  if (this.stopped) {
+    return Promise.resolve();
+  }
+  this.stopped = true;
+  this.transport.removeListener('message', this.messageListener);
+  this.transport.removeListener('send', this.sendListener);
+
+  return new Promise(function (resolve) {
+    if (!self.ownsStream) {
+      return resolve();
+    }
+    self.stream.end(resolve);
+  }).then(function () {
+    self.emit('stop');
+  });
+};
+
+module.exports = Recorder;
@@ -0,0 +1,97 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+
+/**
+ * Router, delivers incoming OSC messages to the models.  Handlers are
+ * kept in a Map keyed by their full address, so delivering a message is
+ * a single lookup no matter how many tracks, clips and scenes are
+ * listening.
+ *
+ * @constructor
+ */
+var Router = function () {
+
+  /**
+   * Handlers by address
+   * @type {Map}
+   */
+  this.routes = new Map();
+};
+
+/**
+ * Add a handler for an address
+ * @param  {String}   address OSC address, ex '/track/1/volume'
+ * @param  {Function} handler callback(arg1, arg2, ...)
+ */
+Router.prototype.add = function (address, handler) {
+  // handlers are replaced, not changed, so a dispatch in progress
+  // isn't affected
+  this.routes.set(address, (this.routes.get(address) || []).concat(handler));
+};
+
+/**
+ * Remove a handler, the address is forgotten when its last handler is
+ * removed
+ * @param  {String}   address OSC address
+ * @param  {Function} handler callback given to add
+ */
+Router.prototype.remove = function (address, handler) {
+  var handlers = this.routes.get(address);
+  if (!handlers) {
+    return;
+  }
+  handlers = _.without(handlers, handler);
+  if (handlers.length) {
+    this.routes.set(address, handlers);
+  } else {
+    this.routes.delete(address);
+  }
+};
+
+/**
+ * Check if an address has any handlers
+ * @param  {String}  address OSC address
+ * @return {Boolean} true if handled
+ */
+Router.prototype.has = function (address) {
+  return this.routes.has(address);
+};
+
+/**
+ * Call the handlers for a message
+ * @param  {String}  address OSC address
+ * @param  {Array}   args    argument values
+ * @return {Boolean} true if there were any handlers
+ */
+Router.prototype.dispatch = function (address, args) {
+  var handlers = this.routes.get(address);
+  if (!handlers) {
+    return false;
+  }
+
+  for (var i = 0; i < handlers.length; i++) {
+    handlers[i].apply(null, args);
+  }
+  return true;
+};
+
+/**
+ * List every address that has handlers
+ * @return {Array} addresses
+ */
+Router.prototype.addresses = function () {
+  return Array.from(this.routes.keys());
+};
+
+/**
+ * Remove every handler
+ */
+Router.prototype.clear = function () {
+  this.routes.clear();
+};
+
+module.exports = Router;
@@ -0,0 +1,185 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+
+/**
+ * Scale object, converts between the raw values OSC4Bitwig sends and
+ * receives and the units used by applications.  The raw range depends
+ * on the value resolution configured in OSC4Bitwig (128, 1024 or 16384
+ * steps).
+ *
+ * Supported units are:
+ *
+ *   raw
+ *     0 to resolution - 1, sent as is
+ *   midi
+ *     0 - 127
+ *   normalized
+ *     0.0 - 1.0
+ *   percent
+ *     0 - 100
+ *   db
+ *     -Infinity - +6.0, Bitwig's volume curve
+ *
+ * Values given to setters can be plain numbers, which are read in the
+ * default unit, strings like '-6dB' or '50%', or objects like
+ * {db: -6} or {normalized: 0.5}.
+ *
+ * @constructor
+ * @param {Object} opts options
+ * @param {Number} opts.resolution OSC4Bitwig value resolution, default 128
+ * @param {String} opts.units      unit of plain numbers, default 'midi'
+ */
+var Scale = function (opts) {
+  opts = opts || {};
+
+  /**
+   * Number of raw steps
+   * @type {Number}
+   */
+  this.resolution = opts.resolution || 128;
+
+  /**
+   * Unit used for plain numbers
+   * @type {String}
+   */
+  this.units = opts.units || 'midi';
+
+  if (!_.contains(Scale.UNITS, this.units)) {
+    throw new Error('unknown unit ' + this.units + ', expected one of ' +
+      Scale.UNITS.join(', '));
+  }
+};
+
+/**
+ * Supported units
+ * @type {Array}
+ */
+Scale.UNITS = ['raw', 'midi', 'normalized', 'percent', 'db'];
+
+/**
+ * Convert a normalized value to decibels on Bitwig's volume curve
+ * @param  {Number} normalized 0.0 - 1.0
+ * @return {Number} decibels
+ */
+Scale.toDb = function (normalized) {
+  return 20 * Math.log(2 * Math.pow(normalized, 3)) / Math.LN10;
+};
+
+/**
+ * Convert decibels to a normalized value on Bitwig's volume curve
+ * @param  {Number} db decibels
+ * @return {Number} 0.0 - 1.0
+ */
+Scale.fromDb = function (db) {
+  return Math.pow(Math.pow(10, db / 20) / 2, 1 / 3);
+};
+
+/**
+ * Convert a value in any unit to a normalized value
+ * @param  {Mixed}  value number, string or object
+ * @return {Number} 0.0 - 1.0
+ */
+Scale.prototype.normalize = function (value) {
+  return Math.min(1, Math.max(0, this.toNormalized(value)));
+};
+
+/**
+ * Check that a value is within range instead of clamping it
+ * @param  {Mixed}  value number, string or object
+ * @return {Number} 0.0 - 1.0
+ */
+Scale.prototype.validate = function (value) {
+  var normalized = this.toNormalized(value);
+  // allow for rounding in decibel conversions
+  if (normalized < -1e-9 || normalized > 1 + 1e-9) {
+    throw new RangeError('value ' + JSON.stringify(value) + ' is out of range');
+  }
+  return Math.min(1, Math.max(0, normalized));
+};
+
+/**
+ * Convert a value in any unit to a normalized value without clamping
+ * @param  {Mixed}  value number, string or object
+ * @return {Number} normalized value
+ */
+Scale.prototype.toNormalized = function (value) {
+  var unit = this.units;
+  var match;
+
+  if (_.isString(value)) {
+    match = /^\s*(-?[\d.]+|-inf(?:inity)?)\s*(db|%)?\s*$/i.exec(value);
+    if (!match) {
+      throw new Error('invalid value ' + value);
+    }
+    unit = match[2] ? (match[2] == '%' ? 'percent' : 'db') : unit;
+    value = /inf/i.test(match[1]) ? -Infinity : parseFloat(match[1]);
+  } else if (_.isObject(value)) {
+    unit = _.find(Scale.UNITS, function (u) {
+      return _.has(value, u);
+    });
+    if (!unit) {
+      throw new Error('invalid value, expected one of ' + Scale.UNITS.join(', '));
+    }
+    value = value[unit];
+  }
+
+  if (!_.isNumber(value) || _.isNaN(value)) {
+    throw new TypeError('invalid value ' + value);
+  }
+
+  var normalized;
+  switch (unit) {
+    case 'raw':
+      normalized = value / (this.resolution - 1);
+      break;
+    case 'midi':
+      normalized = value / 127;
+      break;
+    case 'percent':
+      normalized = value / 100;
+      break;
+    case 'db':
+      normalized = Scale.fromDb(value);
+      break;
+    default:
+      normalized = value;
+  }
+
+  return normalized;
+};
+
+/**
+ * Convert a value in any unit to the raw OSC4Bitwig range
+ * @param  {Mixed}  value number, string or object
+ * @return {Number} 0 to resolution - 1
+ */
+Scale.prototype.toRaw = function (value) {
+  return Math.round(this.normalize(value) * (this.resolution - 1));
+};
+
+/**
+ * Convert a raw value to a normalized value
+ * @param  {Number} raw 0 to resolution - 1
+ * @return {Number} 0.0 - 1.0
+ */
+Scale.prototype.fromRaw = function (raw) {
+  return Math.min(1, Math.max(0, raw / (this.resolution - 1)));
+};
+
+/**
+ * Build the OSC argument for a value
+ * @param  {Mixed}  value number, string or object
+ * @return {Object} OSC integer argument
+ */
+Scale.prototype.toOsc = function (value) {
+  return {
+    type: 'integer',
+    value: this.toRaw(value)
+  };
+};
+
+module.exports = Scale;
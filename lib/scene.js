@@ -0,0 +1,229 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var EventEmitter = require('events').EventEmitter;
+var util = require('./util');
+var events = require('./events');
+
+/**
+ * Scene object, represents a scene in the Bitwig project.
+ * @constructor
+ * @param {Object} bitwig  OSC4Bitwig instance
+ * @param {Number} id      id of the scene
+ */
+var Scene = function (bitwig, id) {
+
+  /**
+   * OSC4Bitwig instance
+   * @type {Object}
+   */
+  this.bitwig = bitwig;
+
+  /**
+   * The id of this scene
+   * @type {Number}
+   */
+  this.id = id;
+
+  /**
+   * Position of this scene in the scene bank, starting at 0
+   * @type {Number}
+   */
+  this.bankIndex = id - 1;
+
+  /**
+   * Absolute index of this scene in the project, starting at 0
+   * @type {Number}
+   */
+  this.projectIndex = bitwig.song ? bitwig.song.sceneOffset + id - 1 : id - 1;
+
+  /**
+   * The name of this scene, undefined until Bitwig reports it
+   * @type {String}
+   */
+  this.name = undefined;
+
+  /**
+   * If this scene exists in the project
+   * @type {Boolean}
+   */
+  this.exists = false;
+
+  /**
+   * If this scene is selected
+   * @type {Boolean}
+   */
+  this.selected = false;
+
+  /**
+   * The color of this scene
+   * @type {String}
+   */
+  this.color = '';
+
+  /**
+   * OSC listeners registered by this scene
+   * @type {Array}
+   */
+  this.oscListeners = [];
+
+  /**
+   * EventEmitter for scene events
+   * @type {EventEmitter}
+   */
+  this.eventEmitter = new EventEmitter();
+
+  var self = this;
+
+  /**
+   * Listen for /scene/#/name
+   * @param  {String} name new scene name
+   */
+  function nameListener(name) {
+    self.emitEvent('name', {
+      value: name,
+      prev: self.name
+    });
+    self.name = name;
+  }
+
+  /**
+   * Listen for /scene/#/exists
+   * @param  {Boolean} exists if the scene exists
+   */
+  function existsListener(exists) {
+    self.emitEvent('exists', {
+      value: exists,
+      prev: self.exists
+    });
+    self.exists = exists;
+  }
+
+  /**
+   * Listen for /scene/#/selected
+   * @param  {Boolean} selected if the scene is selected
+   */
+  function selectedListener(selected) {
+    self.emitEvent('selected', {
+      value: selected,
+      prev: self.selected
+    });
+    self.selected = selected;
+  }
+
+  /**
+   * Listen for /scene/#/color
+   * @param  {String} color new scene color
+   */
+  function colorListener(color) {
+    self.emitEvent('color', {
+      value: color,
+      prev: self.color
+    });
+    self.color = color;
+  }
+
+  /**
+   * Listen for /scene/#/position, the project position Bitwig reports
+   * gives the real scene bank offset
+   * @param  {Number} position project index of the scene
+   */
+  function positionListener(position) {
+    self.bitwig.song.updateSceneOffset(position - self.bankIndex);
+  }
+
+  util.listen(self, '/scene/' + self.id + '/name', nameListener);
+  util.listen(self, '/scene/' + self.id + '/position', positionListener);
+  util.listen(self, '/scene/' + self.id + '/exists', existsListener);
+  util.listen(self, '/scene/' + self.id + '/selected', selectedListener);
+  util.listen(self, '/scene/' + self.id + '/color', colorListener);
+};
+
+/**
+ * Launch all clips in the scene.  Bitwig doesn't report scene launches,
+ * so the launch event is emitted when the launch is sent.
+ */
+Scene.prototype.launch = function () {
+  this.bitwig.transport.send('/scene/' + this.id + '/launch');
+  this.emitEvent('launch', {
+    value: this.projectIndex
+  });
+};
+
+/**
+ * Set the scene bank offset, remapping this scene to other content
+ * Called by Song
+ * @param {Number} offset absolute index of the first scene in the bank
+ */
+Scene.prototype.setBankOffset = function (offset) {
+  var projectIndex = offset + this.bankIndex;
+  if (projectIndex == this.projectIndex) {
+    return;
+  }
+  this.emitEvent('remap', {
+    value: projectIndex,
+    prev: this.projectIndex
+  });
+  this.projectIndex = projectIndex;
+};
+
+/**
+ * Get the state of the scene as a plain object, used by JSON.stringify
+ * @return {Object} scene state
+ */
+Scene.prototype.toJSON = function () {
+  return _.pick(this,
+    'id', 'bankIndex', 'projectIndex', 'name', 'exists', 'selected', 'color'
+  );
+};
+
+/**
+ * Remove all OSC and event listeners
+ * Called when the song is destroyed
+ */
+Scene.prototype.destroy = function () {
+  util.unlistenAll(this);
+  this.emitEvent('destroy', {});
+  this.eventEmitter.removeAllListeners();
+};
+
+/**
+ * Listen for a scene event, current events are:
+ *
+ *   name
+ *   exists
+ *   selected
+ *   color
+ *   launch
+ *   remap
+ *   destroy
+ *
+ * @param  {String}   ev event name
+ * @param  {Function} cb callback
+ */
+Scene.prototype.on = function (ev, cb) {
+  this.eventEmitter.on(ev, cb);
+};
+
+/**
+ * off, once, waitFor and events, see events.methods
+ */
+_.extend(Scene.prototype, events.methods);
+
+/**
+ * Emit a scene event
+ * @param  {String} ev     event name
+ * @param  {Object} params event parameters
+ */
+Scene.prototype.emitEvent = function (ev, params) {
+  this.eventEmitter.emit(ev, params);
+  this.bitwig.song.eventEmitter.emit(
+    'scene:' + ev,
+    _.extend({id: this.id}, params)
+  );
+};
+
+module.exports = Scene;
@@ -0,0 +1,152 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+var errors = require('../errors');
+
+/**
+ * Methods clients may call on each kind of target
+ * @type {Object}
+ */
+var METHODS = {
+  song: [
+    'toJSON', 'play', 'stop', 'record', 'loop', 'setClick', 'launchScene',
+    'launchNextScene', 'launchPrevScene', 'launchSceneAt', 'setVolume',
+    'setPan', 'setTempo', 'setTime', 'setOverdub', 'setPunchIn',
+    'setPunchOut', 'setPreroll', 'setTimeSignature', 'toggleFxBypass',
+    'select', 'scrollTracks', 'nextTrackPage', 'prevTrackPage',
+    'setTrackOffset', 'scrollScenes', 'nextScenePage', 'prevScenePage',
+    'setSceneOffset', 'snapshot', 'restore'
+  ],
+  track: [
+    'toJSON', 'setName', 'setRecarm', 'setSolo', 'setMute', 'setVolume',
+    'setPan', 'setSendVolume', 'setSendName', 'stopClips', 'view'
+  ],
+  clip: [
+    'toJSON', 'launch', 'stop', 'record', 'select', 'delete', 'duplicate',
+    'setName', 'setColor'
+  ],
+  scene: ['toJSON', 'launch'],
+  device: [
+    'toJSON', 'set', 'setBypass', 'toggleBypass', 'next', 'prev',
+    'nextPage', 'prevPage', 'selectPage'
+  ]
+};
+
+exports.METHODS = METHODS;
+
+/**
+ * Look up an item by position, numbered from 1, throws a CommandError
+ * when there is no such item
+ * @param  {Array}  list   tracks, clips, scenes, sends or parameters
+ * @param  {String} name   name used in the error message
+ * @param  {String} number position, starting at 1
+ * @return {Object} item
+ */
+var lookup = exports.lookup = function (list, name, number) {
+  var index = Number(number);
+  if (index !== Math.floor(index) || index < 1 || index > list.length) {
+    throw new errors.CommandError(
+      'no ' + name + ' ' + number + ', ' + name + 's are 1 - ' + list.length,
+      'ENOTFOUND'
+    );
+  }
+  return list[index - 1];
+};
+
+/**
+ * Find the model a command targets.  Targets are 'song', 'track.<n>',
+ * 'clip.<track>.<scene>', 'scene.<n>' and 'device', tracks, clips and
+ * scenes are numbered from 1 within the current banks.
+ * @param  {Object} song   Song
+ * @param  {String} target target name
+ * @return {Object} {type: 'track', object: Track}
+ */
+exports.resolve = function (song, target) {
+  var parts = String(target || 'song').split('.');
+  var type = parts[0];
+  var object;
+
+  if (type == 'song' && parts.length == 1) {
+    object = song;
+  } else if (type == 'device' && parts.length == 1) {
+    object = song.device;
+  } else if (type == 'track' && parts.length == 2) {
+    object = lookup(song.tracks, 'track', parts[1]);
+  } else if (type == 'scene' && parts.length == 2) {
+    object = lookup(song.scenes, 'scene', parts[1]);
+  } else if (type == 'clip' && parts.length == 3) {
+    object = lookup(lookup(song.tracks, 'track', parts[1]).clips, 'clip', parts[2]);
+  } else {
+    throw new errors.CommandError('unknown target ' + target, 'ENOTFOUND');
+  }
+
+  return {
+    type: type,
+    object: object
+  };
+};
+
+/**
+ * Run a command, a command is:
+ *
+ *   {
+ *     target: 'track.1',      // default 'song'
+ *     method: 'setVolume',
+ *     args: ['-6dB']          // default []
+ *   }
+ *
+ * Errors from the model, like a RangeError for a bad value, are turned
+ * into CommandErrors with code 'EINVAL'.  TimeoutErrors are passed on.
+ *
+ * @param  {Object} song    Song
+ * @param  {Object} command command
+ * @return {Promise} resolves with the result of the method, null if it
+ *                   returns nothing
+ */
+exports.run = function (song, command) {
+  return new Promise(function (resolve) {
+    if (!command || !_.isString(command.method)) {
+      throw new errors.CommandError('command must have a method', 'EINVAL');
+    }
+
+    var target = exports.resolve(song, command.target);
+    var args = _.isUndefined(command.args) ? [] : command.args;
+
+    if (!_.contains(METHODS[target.type], command.method)) {
+      throw new errors.CommandError(
+        'unknown method ' + command.method + ' on ' + target.type,
+        'ENOTFOUND'
+      );
+    }
+    if (!_.isArray(args)) {
+      throw new errors.CommandError('args must be a list', 'EINVAL');
+    }
+
+    resolve(target.object[command.method].apply(target.object, args));
+  }).then(function (result) {
+    return _.isUndefined(result) ? null : result;
+  }, function (err) {
+    if (err instanceof errors.CommandError || err instanceof errors.TimeoutError) {
+      throw err;
+    }
+    var wrapped = new errors.CommandError(err.message, 'EINVAL');
+    wrapped.cause = err;
+    throw wrapped;
+  });
+};
+
+/**
+ * Turn an error into a plain object that can be sent to a client
+ * @param  {Error}  err error
+ * @return {Object} {name, code, message}
+ */
+exports.serializeError = function (err) {
+  return {
+    name: err.name,
+    code: err.code,
+    message: err.message
+  };
+};
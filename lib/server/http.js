@@ -0,0 +1,396 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var http = require('http');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
+var errors = require('../errors');
+var commands = require('./commands');
+
+/**
+ * Largest request body accepted, in bytes
+ * @type {Number}
+ */
+var MAX_BODY = 1024 * 1024;
+
+/**
+ * HTTP status for each error code
+ * @type {Object}
+ */
+var STATUS = {
+  ENOTFOUND: 404,
+  EINVAL: 400,
+  EMETHOD: 405,
+  ETOOLARGE: 413,
+  ETIMEDOUT: 504
+};
+
+/**
+ * Check a level is in range for the configured units
+ * @param  {Object} song  Song
+ * @param  {Mixed}  value number, string or object
+ * @return {Object} {normalized: value}
+ */
+function level(song, value) {
+  try {
+    return {normalized: song.bitwig.scale.validate(value)};
+  } catch (err) {
+    throw new errors.CommandError(err.message, 'EINVAL');
+  }
+}
+
+/**
+ * Check an on/off value
+ * @param  {Mixed}  value true, false, 1 or 0
+ * @return {Number} 1 or 0
+ */
+function toggle(value) {
+  if (!_.contains([true, false, 1, 0], value)) {
+    throw new errors.CommandError('value must be true, false, 1 or 0, got ' +
+      JSON.stringify(value), 'EINVAL');
+  }
+  return value ? 1 : 0;
+}
+
+/**
+ * Check a number is in a range
+ * @param  {Mixed}  value value
+ * @param  {Number} min   lowest value
+ * @param  {Number} max   highest value
+ * @return {Number} value
+ */
+function number(value, min, max) {
+  if (!_.isNumber(value) || _.isNaN(value) || value < min || value > max) {
+    throw new errors.CommandError('value must be a number between ' + min +
+      ' and ' + max + ', got ' + JSON.stringify(value), 'EINVAL');
+  }
+  return value;
+}
+
+/**
+ * Routes, each is an HTTP method, a path pattern and a function called
+ * with the song, the pattern match and the request body value that
+ * returns the command to run.  Reads return the state of the target,
+ * writes return the state of the target after the command.
+ * @type {Array}
+ */
+var ROUTES = [
+  ['GET', /^\/song$/, function () {
+    return {target: 'song', method: 'toJSON'};
+  }],
+  ['GET', /^\/tracks$/, function (song) {
+    return {value: _.invoke(song.tracks, 'toJSON')};
+  }],
+  ['GET', /^\/tracks\/([^\/]+)$/, function (song, m) {
+    return {target: 'track.' + m[1], method: 'toJSON'};
+  }],
+  ['GET', /^\/tracks\/([^\/]+)\/clips\/([^\/]+)$/, function (song, m) {
+    return {target: 'clip.' + m[1] + '.' + m[2], method: 'toJSON'};
+  }],
+  ['GET', /^\/scenes$/, function (song) {
+    return {value: _.invoke(song.scenes, 'toJSON')};
+  }],
+  ['GET', /^\/scenes\/([^\/]+)$/, function (song, m) {
+    return {target: 'scene.' + m[1], method: 'toJSON'};
+  }],
+  ['GET', /^\/device$/, function () {
+    return {target: 'device', method: 'toJSON'};
+  }],
+  ['POST', /^\/transport\/(play|stop|record|loop)$/, function (song, m) {
+    return {target: 'song', method: m[1], state: 'song'};
+  }],
+  ['PUT', /^\/transport\/tempo$/, function (song, m, value) {
+    return {target: 'song', method: 'setTempo', args: [number(value, 20, 666)], state: 'song'};
+  }],
+  ['PUT', /^\/transport\/(click|overdub|punchIn|punchOut)$/, function (song, m, value) {
+    var method = 'set' + m[1][0].toUpperCase() + m[1].slice(1);
+    return {target: 'song', method: method, args: [toggle(value)], state: 'song'};
+  }],
+  ['PUT', /^\/master\/(volume|pan)$/, function (song, m, value) {
+    var method = m[1] == 'volume' ? 'setVolume' : 'setPan';
+    return {target: 'song', method: method, args: [level(song, value)], state: 'song'};
+  }],
+  ['PUT', /^\/tracks\/([^\/]+)\/(volume|pan)$/, function (song, m, value) {
+    var method = m[2] == 'volume' ? 'setVolume' : 'setPan';
+    return {target: 'track.' + m[1], method: method, args: [level(song, value)]};
+  }],
+  ['PUT', /^\/tracks\/([^\/]+)\/(mute|solo|recarm)$/, function (song, m, value) {
+    var method = 'set' + m[2][0].toUpperCase() + m[2].slice(1);
+    return {target: 'track.' + m[1], method: method, args: [toggle(value)]};
+  }],
+  ['PUT', /^\/tracks\/([^\/]+)\/sends\/([^\/]+)\/volume$/, function (song, m, value) {
+    var track = commands.resolve(song, 'track.' + m[1]).object;
+    commands.lookup(track.sends, 'send', m[2]);
+    return {
+      target: 'track.' + m[1],
+      method: 'setSendVolume',
+      args: [Number(m[2]) - 1, level(song, value)]
+    };
+  }],
+  ['POST', /^\/tracks\/([^\/]+)\/stop$/, function (song, m) {
+    return {target: 'track.' + m[1], method: 'stopClips'};
+  }],
+  ['POST', /^\/tracks\/([^\/]+)\/clips\/([^\/]+)\/(launch|stop|record|select)$/, function (song, m) {
+    return {target: 'clip.' + m[1] + '.' + m[2], method: m[3]};
+  }],
+  ['POST', /^\/scenes\/([^\/]+)\/launch$/, function (song, m) {
+    return {target: 'scene.' + m[1], method: 'launch', state: 'song'};
+  }],
+  ['PUT', /^\/device\/params\/([^\/]+)$/, function (song, m, value) {
+    var max = song.bitwig.scale.resolution - 1;
+    commands.lookup(song.device.params, 'param', m[1]);
+    return {
+      target: 'device',
+      method: 'set',
+      args: [Number(m[1]) - 1, Math.round(number(value, 0, max))]
+    };
+  }],
+  ['PUT', /^\/device\/bypass$/, function (song, m, value) {
+    return {target: 'device', method: 'setBypass', args: [toggle(value)]};
+  }],
+  ['POST', /^\/commands$/, function (song, m, value, body) {
+    return _.extend({}, body, {raw: true});
+  }]
+];
+
+/**
+ * HttpServer, a REST API for scripting Bitwig from other tools.
+ *
+ * Routes are:
+ *
+ *   GET  /song
+ *   GET  /tracks, /tracks/:id, /tracks/:id/clips/:n
+ *   GET  /scenes, /scenes/:n, /device
+ *   POST /transport/play, stop, record, loop
+ *   PUT  /transport/tempo, click, overdub, punchIn, punchOut
+ *   PUT  /master/volume, /master/pan
+ *   PUT  /tracks/:id/volume, pan, mute, solo, recarm
+ *   PUT  /tracks/:id/sends/:n/volume
+ *   POST /tracks/:id/stop
+ *   POST /tracks/:id/clips/:n/launch, stop, record, select
+ *   POST /scenes/:n/launch
+ *   PUT  /device/params/:n, /device/bypass
+ *   POST /commands
+ *     runs a WebSocketBridge style command, {target, method, args}
+ *
+ * PUT bodies are JSON, either {"value": ...} or the value itself.
+ * Tracks, clips, scenes, sends and parameters are numbered from 1
+ * within the current banks.  Levels take the units set on OSC4Bitwig,
+ * dB strings or unit objects, and are rejected when out of range.
+ *
+ * Responses are the state of the target as JSON.  After a change the
+ * state only includes the new value once Bitwig has reported it, which
+ * is by the time of the response when confirm is enabled.  Errors are:
+ *
+ *   {"error": {"name": "CommandError", "code": "ENOTFOUND", "message": "no track 9, tracks are 1 - 8"}}
+ *
+ * with status 400 for bad values, 404 for unknown routes or targets,
+ * 405 for the wrong method and 504 when Bitwig doesn't confirm.
+ *
+ * Options are as follows:
+ *
+ * opts.port = port to listen on, default 8081
+ * opts.host = host to listen on, default all
+ *
+ * @constructor
+ * @param {Object} song Song to control
+ * @param {Object} opts options
+ */
+var HttpServer = function (song, opts) {
+  EventEmitter.call(this);
+
+  opts = opts || {};
+
+  /**
+   * Song being controlled
+   * @type {Object}
+   */
+  this.song = song;
+
+  var self = this;
+
+  /**
+   * Node http server
+   * @type {Object}
+   */
+  this.server = http.createServer(function (req, res) {
+    self.handle(req, res);
+  });
+  this.server.on('error', function (err) {
+    self.emit('error', err);
+  });
+  this.server.listen(opts.port || 8081, opts.host, function () {
+    self.emit('listening');
+  });
+};
+
+util.inherits(HttpServer, EventEmitter);
+
+/**
+ * Routes of the API
+ * @type {Array}
+ */
+HttpServer.ROUTES = ROUTES;
+
+/**
+ * Handle a request
+ * @param  {Object} req request
+ * @param  {Object} res response
+ */
+HttpServer.prototype.handle = function (req, res) {
+  var self = this;
+  var song = this.song;
+  var path = req.url.split('?')[0].replace(/\/+$/, '') || '/';
+
+  readBody(req, res).then(function (body) {
+    var value = _.isObject(body) && _.has(body, 'value') ? body.value : body;
+    var route = findRoute(req.method, path);
+    var command = route.handler(song, route.match, value, body);
+
+    if (_.has(command, 'value')) {
+      return command.value;
+    }
+    return commands.run(song, command).then(function (result) {
+      if (command.raw || command.method == 'toJSON') {
+        return result;
+      }
+      return commands.resolve(song, command.state || command.target).object.toJSON();
+    });
+  }).then(function (result) {
+    self.respond(res, 200, result);
+  }, function (err) {
+    self.respond(res, STATUS[err.code] || 500, {
+      error: commands.serializeError(err)
+    });
+  });
+};
+
+/**
+ * Decode a part of the path
+ * @param  {String} str URI encoded string
+ * @return {String} decoded string
+ */
+function decode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (err) {
+    throw new errors.CommandError('invalid path encoding ' + str, 'EINVAL');
+  }
+}
+
+/**
+ * Find the route for a request
+ * @param  {String} method HTTP method
+ * @param  {String} path   request path
+ * @return {Object} {handler, match}
+ */
+function findRoute(method, path) {
+  var pathFound = false;
+
+  for (var i = 0; i < ROUTES.length; i++) {
+    var match = ROUTES[i][1].exec(path);
+    if (!match) {
+      continue;
+    }
+    if (ROUTES[i][0] == method) {
+      return {
+        handler: ROUTES[i][2],
+        match: _.map(match, decode)
+      };
+    }
+    pathFound = true;
+  }
+
+  if (pathFound) {
+    throw new errors.CommandError(method + ' is not allowed on ' + path, 'EMETHOD');
+  }
+  throw new errors.CommandError('no route ' + path, 'ENOTFOUND');
+}
+
+/**
+ * Read and parse a JSON request body.  A body that is too large is
+ * rejected and the connection is closed once the response is sent.
+ * @param  {Object} req request
+ * @param  {Object} res response
+ * @return {Promise} resolves with the body, undefined if empty
+ */
+function readBody(req, res) {
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    var size = 0;
+    var tooLarge = false;
+
+    req.on('data', function (chunk) {
+      if (tooLarge) {
+        return;
+      }
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        tooLarge = true;
+        chunks = [];
+        // destroying the request now would drop the response, so
+        // close the connection once it is sent
+        res.setHeader('Connection', 'close');
+        res.on('finish', function () {
+          req.destroy();
+        });
+        reject(new errors.CommandError('request body is too large', 'ETOOLARGE'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', function () {
+      if (tooLarge) {
+        return;
+      }
+      var text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        return resolve();
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (err) {
+        reject(new errors.CommandError('invalid JSON: ' + err.message, 'EINVAL'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param  {Object} res    response
+ * @param  {Number} status HTTP status
+ * @param  {Mixed}  body   response body
+ */
+HttpServer.prototype.respond = function (res, status, body) {
+  var data = JSON.stringify(_.isUndefined(body) ? null : body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(data)
+  });
+  res.end(data);
+};
+
+/**
+ * Stop listening
+ * @return {Promise} resolves when closed
+ */
+HttpServer.prototype.close = function () {
+  var self = this;
+  return new Promise(function (resolve) {
+    self.server.close(function () {
+      self.emit('close');
+      self.removeAllListeners();
+      resolve();
+    });
+    if (self.server.closeAllConnections) {
+      self.server.closeAllConnections();
+    }
+  });
+};
+
+module.exports = HttpServer;
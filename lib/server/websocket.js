@@ -0,0 +1,259 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
+var WebSocket = require('ws');
+var listenEvent = require('../util').listenEvent;
+var unlistenEvents = require('../util').unlistenEvents;
+var commands = require('./commands');
+
+/**
+ * Song events that are streamed, model events are added below with
+ * their prefix.  Per-parameter device events aren't streamed, the
+ * device:param event has the same changes.
+ * @type {Array}
+ */
+var EVENTS = [
+  'play', 'record', 'overdub', 'loop', 'punchIn', 'punchOut', 'preroll',
+  'tempo', 'position', 'positionStr', 'timeSignature', 'click', 'volume',
+  'pan', 'mute', 'solo', 'recarm', 'selected', 'trackOffset',
+  'sceneOffset'
+].concat(prefix('track', [
+  'name', 'exists', 'volume', 'pan', 'mute', 'solo', 'recarm', 'selected',
+  'vu', 'send', 'sendName', 'sendVolume', 'playingClip', 'remap',
+  'destroy'
+]), prefix('clip', [
+  'name', 'color', 'index', 'hasContent', 'isPlaying', 'isQueued',
+  'isRecording', 'isSelected', 'remap', 'destroy'
+]), prefix('scene', [
+  'name', 'exists', 'selected', 'color', 'launch', 'remap', 'destroy'
+]), prefix('device', [
+  'name', 'bypass', 'page', 'pageName', 'param', 'paramName', 'destroy'
+]), prefix('morph', [
+  'start', 'progress', 'done', 'cancel'
+]));
+
+/**
+ * Prefix event names with the model they come from
+ * @param  {String} model  ex 'track'
+ * @param  {Array}  events event names
+ * @return {Array} prefixed names, ex 'track:mute'
+ */
+function prefix(model, events) {
+  return _.map(events, function (ev) {
+    return model + ':' + ev;
+  });
+}
+
+/**
+ * WebSocketBridge, serves the song to browsers over WebSockets.  Any
+ * number of clients share the one connection to Bitwig.
+ *
+ * Messages are JSON.  When a client connects it is sent the whole
+ * state:
+ *
+ *   {"type": "state", "song": {...}}
+ *
+ * then every song, track, clip, scene and device event:
+ *
+ *   {"type": "event", "name": "track:mute", "params": {"id": 1, "value": 1, "prev": 0}}
+ *
+ * Clients send commands, see commands.run, with an id that is sent
+ * back with the result:
+ *
+ *   {"id": 1, "target": "track.1", "method": "setVolume", "args": ["-6dB"]}
+ *   {"type": "result", "id": 1, "value": null}
+ *   {"type": "error", "id": 1, "error": {"name": "CommandError", "code": "EINVAL", "message": "..."}}
+ *
+ * Options are as follows:
+ *
+ * opts.port = port to listen on, default 8080
+ * opts.host = host to listen on, default all
+ * opts.server = existing http server to attach to instead of listening
+ * opts.path = only accept connections to this path, ex '/bitwig'
+ * opts.exclude = events not to stream, ex ['track:vu']
+ *
+ * An error on one client is logged and that client is dropped, errors
+ * from the server are emitted as error events.
+ *
+ * @constructor
+ * @param {Object} song Song to serve
+ * @param {Object} opts options
+ */
+var WebSocketBridge = function (song, opts) {
+  EventEmitter.call(this);
+
+  opts = opts || {};
+
+  /**
+   * Song being served
+   * @type {Object}
+   */
+  this.song = song;
+
+  /**
+   * Events that are not streamed
+   * @type {Array}
+   */
+  this.exclude = opts.exclude || [];
+
+  /**
+   * Song event listeners, kept so they can be removed
+   * @type {Array}
+   */
+  this.eventListeners = [];
+
+  var self = this;
+
+  /**
+   * WebSocket server
+   * @type {Object}
+   */
+  this.wss = new WebSocket.Server(opts.server ? {
+    server: opts.server,
+    path: opts.path
+  } : {
+    port: opts.port || 8080,
+    host: opts.host,
+    path: opts.path
+  });
+
+  this.wss.on('connection', function (ws) {
+    self.connect(ws);
+  });
+  this.wss.on('listening', function () {
+    self.emit('listening');
+  });
+  this.wss.on('error', function (err) {
+    self.emit('error', err);
+  });
+
+  _.each(_.difference(EVENTS, this.exclude), function (name) {
+    listenEvent(self, song.eventEmitter, name, function (params) {
+      self.broadcast({
+        type: 'event',
+        name: name,
+        params: params
+      });
+    });
+  });
+};
+
+util.inherits(WebSocketBridge, EventEmitter);
+
+/**
+ * Send the state to a new client and listen for its commands
+ * @param  {Object} ws WebSocket
+ */
+WebSocketBridge.prototype.connect = function (ws) {
+  var self = this;
+
+  ws.on('message', function (data) {
+    self.receive(ws, data);
+  });
+  // a misbehaving client shouldn't take the server down with it
+  ws.on('error', function (err) {
+    self.song.bitwig.logger.log('warn', 'WebSocket client error, disconnecting it', {
+      error: err.message
+    });
+    ws.terminate();
+  });
+
+  this.sendTo(ws, {
+    type: 'state',
+    song: this.song.toJSON()
+  });
+  this.emit('connection', ws);
+};
+
+/**
+ * Run a command from a client and send back the result
+ * @param  {Object} ws   WebSocket
+ * @param  {String} data JSON command
+ */
+WebSocketBridge.prototype.receive = function (ws, data) {
+  var self = this;
+  var command;
+
+  try {
+    command = JSON.parse(data);
+  } catch (err) {
+    return this.sendTo(ws, {
+      type: 'error',
+      id: null,
+      error: {
+        name: 'CommandError',
+        code: 'EINVAL',
+        message: 'invalid JSON: ' + err.message
+      }
+    });
+  }
+
+  var id = _.isObject(command) && !_.isUndefined(command.id) ? command.id : null;
+
+  commands.run(this.song, command).then(function (value) {
+    self.sendTo(ws, {
+      type: 'result',
+      id: id,
+      value: value
+    });
+  }, function (err) {
+    self.sendTo(ws, {
+      type: 'error',
+      id: id,
+      error: commands.serializeError(err)
+    });
+  });
+};
+
+/**
+ * Send a message to one client
+ * @param  {Object} ws      WebSocket
+ * @param  {Object} message message, serialized as JSON
+ */
+WebSocketBridge.prototype.sendTo = function (ws, message) {
+  if (ws.readyState == WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Send a message to every client
+ * @param  {Object} message message, serialized as JSON
+ */
+WebSocketBridge.prototype.broadcast = function (message) {
+  if (!this.wss.clients.size) {
+    return;
+  }
+  var data = JSON.stringify(message);
+  this.wss.clients.forEach(function (ws) {
+    if (ws.readyState == WebSocket.OPEN) {
+      ws.send(data);
+    }
+  });
+};
+
+/**
+ * Stop streaming events, disconnect every client and stop listening
+ * @return {Promise} resolves when closed
+ */
+WebSocketBridge.prototype.close = function () {
+  var self = this;
+  unlistenEvents(this);
+  this.wss.clients.forEach(function (ws) {
+    ws.terminate();
+  });
+  return new Promise(function (resolve) {
+    self.wss.close(function () {
+      self.emit('close');
+      self.removeAllListeners();
+      resolve();
+    });
+  });
+};
+
+module.exports = WebSocketBridge;
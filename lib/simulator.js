@@ -0,0 +1,804 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('underscore');
+var transports = require('./transports');
+
+/**
+ * Transport properties and the addresses they are reported on
+ * @type {Object}
+ */
+var TRANSPORT = {
+  playing: '/play',
+  recording: '/record',
+  overdub: '/overdub',
+  looping: '/repeat',
+  click: '/click',
+  punchIn: '/punchIn',
+  punchOut: '/punchOut',
+  preroll: '/preroll',
+  tempo: '/tempo/raw',
+  position: '/time'
+};
+
+/**
+ * Track properties reported on /track/#/<property>
+ * @type {Array}
+ */
+var TRACK_PROPERTIES = ['name', 'volume', 'pan', 'mute', 'solo', 'recarm', 'selected'];
+
+/**
+ * Clip properties reported on /track/#/slot/#/<property>
+ * @type {Array}
+ */
+var CLIP_PROPERTIES = ['name', 'color', 'hasContent', 'isPlaying', 'isQueued', 'isRecording', 'isSelected'];
+
+/**
+ * Scene properties reported on /scene/#/<property>
+ * @type {Array}
+ */
+var SCENE_PROPERTIES = ['name', 'exists', 'selected', 'color'];
+
+/**
+ * Master properties reported on /master/<property>
+ * @type {Array}
+ */
+var MASTER_PROPERTIES = ['volume', 'pan', 'mute', 'solo', 'recarm', 'selected'];
+
+/**
+ * Simulator, pretends to be Bitwig running OSC4Bitwig so the library can
+ * be used without Bitwig.  It keeps a fake project, answers commands with
+ * the feedback OSC4Bitwig would send, and can be scripted from tests.
+ *
+ * Tracks and scenes are numbered from 1 in the project, like they are in
+ * Bitwig, the track and scene banks decide which of them are reported.
+ *
+ * Options are as follows:
+ *
+ * opts.port = port to listen on, the bitwigPort of OSC4Bitwig, default 8099
+ * opts.clientHost = host OSC4Bitwig is listening on, default 127.0.0.1
+ * opts.clientPort = port OSC4Bitwig is listening on, default 9099
+ * opts.numTracks = tracks in the track bank, default 8
+ * opts.numScenes = scenes in the scene bank, default 8
+ * opts.numSends = sends per track, default 6
+ * opts.numParams = device parameters per page, default 8
+ * opts.projectTracks = tracks in the project, default 16
+ * opts.projectScenes = scenes in the project, default 16
+ * opts.resolution = value resolution, default 128
+ * opts.dropRate = chance of dropping each incoming packet, 0.0 - 1.0
+ * opts.transport = 'udp', 'tcp' or a Transport, default 'udp'.  With
+ *   'tcp' the simulator listens on port for OSC4Bitwig to connect
+ *
+ * @constructor
+ * @param {Object} opts options
+ */
+var Simulator = function (opts) {
+  EventEmitter.call(this);
+
+  opts = opts || {};
+  this.port = opts.port || 8099;
+  this.clientHost = opts.clientHost || '127.0.0.1';
+  this.clientPort = opts.clientPort || 9099;
+  this.numTracks = opts.numTracks || 8;
+  this.numScenes = opts.numScenes || 8;
+  this.numSends = opts.numSends || 6;
+  this.numParams = opts.numParams || 8;
+  this.resolution = opts.resolution || 128;
+
+  /**
+   * Chance of dropping each incoming packet
+   * @type {Number}
+   */
+  this.dropRate = opts.dropRate || 0;
+
+  /**
+   * Number of incoming packets still to drop
+   * @type {Number}
+   */
+  this.dropCount = 0;
+
+  /**
+   * Feedback messages waiting to be sent
+   * @type {Array}
+   */
+  this.queue = [];
+
+  /**
+   * Project index of the first track in the track bank
+   * @type {Number}
+   */
+  this.trackOffset = 0;
+
+  /**
+   * Project index of the first scene in the scene bank
+   * @type {Number}
+   */
+  this.sceneOffset = 0;
+
+  var projectTracks = opts.projectTracks || 16;
+  var projectScenes = opts.projectScenes || 16;
+  var self = this;
+
+  /**
+   * Transport state
+   * @type {Object}
+   */
+  this.transport = {
+    playing: 0,
+    recording: 0,
+    overdub: 0,
+    looping: 0,
+    click: 0,
+    punchIn: 0,
+    punchOut: 0,
+    preroll: 0,
+    tempo: 120,
+    position: 0,
+    numerator: 4,
+    denominator: 4
+  };
+
+  /**
+   * Master track state
+   * @type {Object}
+   */
+  this.master = {
+    volume: Math.round((this.resolution - 1) * 0.8),
+    pan: Math.round((this.resolution - 1) / 2),
+    mute: 0,
+    solo: 0,
+    recarm: 0,
+    selected: 0
+  };
+
+  /**
+   * Project tracks
+   * @type {Array}
+   */
+  this.tracks = _.map(_.range(projectTracks), function (i) {
+    return {
+      name: 'Track ' + (i + 1),
+      volume: self.master.volume,
+      pan: self.master.pan,
+      mute: 0,
+      solo: 0,
+      recarm: 0,
+      selected: 0,
+      sends: _.map(_.range(self.numSends), function (s) {
+        return {
+          name: 'FX ' + (s + 1),
+          volume: 0
+        };
+      }),
+      clips: _.map(_.range(projectScenes), function () {
+        return {
+          name: '',
+          color: '',
+          hasContent: false,
+          isPlaying: false,
+          isQueued: false,
+          isRecording: false,
+          isSelected: false
+        };
+      })
+    };
+  });
+
+  /**
+   * Project scenes
+   * @type {Array}
+   */
+  this.scenes = _.map(_.range(projectScenes), function (i) {
+    return {
+      name: 'Scene ' + (i + 1),
+      exists: true,
+      selected: false,
+      color: ''
+    };
+  });
+
+  /**
+   * Devices on the selected track, the cursor device is
+   * devices[deviceIndex]
+   * @type {Array}
+   */
+  this.devices = [{
+    name: 'Instrument',
+    bypass: 0,
+    page: 0,
+    pages: [{
+      name: 'Main',
+      params: _.map(_.range(this.numParams), function (i) {
+        return {
+          name: 'Param ' + (i + 1),
+          value: 0
+        };
+      })
+    }]
+  }];
+
+  /**
+   * Index of the cursor device
+   * @type {Number}
+   */
+  this.deviceIndex = 0;
+
+  /**
+   * Transport OSC4Bitwig is connected through, named connection since
+   * transport holds the transport state
+   * @type {Transport}
+   */
+  this.connection = transports.create(opts.transport, {
+    port: this.port,
+    remoteHost: this.clientHost,
+    remotePort: this.clientPort,
+    server: true
+  });
+  this.connection.on('message', function () {
+    var args = Array.prototype.slice.call(arguments, 0);
+    self.receive(args[0], args.slice(1));
+  });
+  this.connection.on('error', function (err) {
+    self.emit('error', err);
+  });
+};
+
+util.inherits(Simulator, EventEmitter);
+
+/**
+ * Commands the simulator understands, each is a pattern and a handler
+ * called with the simulator as this, the pattern match and the
+ * arguments of the message
+ * @type {Array}
+ */
+var COMMANDS = [
+  [/^\/refresh$/, function () {
+    this.dump();
+  }],
+  [/^\/play$/, function () {
+    this.setTransport({playing: 1});
+  }],
+  [/^\/stop$/, function () {
+    this.setTransport({playing: 0});
+  }],
+  [/^\/(record|overdub|repeat|click|punchIn|punchOut)$/, function (m, args) {
+    var prop = _.invert(TRANSPORT)['/' + m[1]];
+    var state = {};
+    state[prop] = args.length ? toggleValue(args[0]) : toggleValue(!this.transport[prop]);
+    this.setTransport(state);
+  }],
+  [/^\/(preroll|tempo\/raw|time)$/, function (m, args) {
+    var state = {};
+    state[_.invert(TRANSPORT)['/' + m[1]]] = args[0];
+    this.setTransport(state);
+  }],
+  [/^\/time\/signature$/, function (m, args) {
+    var parts = String(args[0]).split('/');
+    this.setTransport({
+      numerator: parseInt(parts[0], 10),
+      denominator: parseInt(parts[1], 10)
+    });
+  }],
+  [/^\/master\/(volume|pan)$/, function (m, args) {
+    var state = {};
+    state[m[1]] = args[0];
+    this.setMaster(state);
+  }],
+  [/^\/master\/select$/, function () {
+    this.setMaster({selected: 1});
+  }],
+  [/^\/track\/(\+|-)$/, function (m) {
+    this.scrollTracks(m[1] == '+' ? 1 : -1);
+  }],
+  [/^\/track\/bank\/(\+|-)$/, function (m) {
+    this.scrollTracks(m[1] == '+' ? this.numTracks : -this.numTracks);
+  }],
+  [/^\/scene\/(\+|-)$/, function (m) {
+    this.scrollScenes(m[1] == '+' ? 1 : -1);
+  }],
+  [/^\/scene\/bank\/(\+|-)$/, function (m) {
+    this.scrollScenes(m[1] == '+' ? this.numScenes : -this.numScenes);
+  }],
+  [/^\/scene\/(\d+)\/launch$/, function (m) {
+    this.launchScene(this.sceneOffset + parseInt(m[1], 10));
+  }],
+  [/^\/track\/(\d+)\/(name|volume|pan|mute|solo|arm)$/, function (m, args) {
+    var track = this.trackOffset + parseInt(m[1], 10);
+    var state = {};
+    // bank slots past the end of the project have no track
+    if (!this.tracks[track - 1]) {
+      return;
+    }
+    state[m[2] == 'arm' ? 'recarm' : m[2]] = args[0];
+    this.setTrack(track, state);
+  }],
+  [/^\/track\/(\d+)\/send\/(\d+)\/(name|volume)$/, function (m, args) {
+    var track = this.trackOffset + parseInt(m[1], 10);
+    var send = parseInt(m[2], 10);
+    if (this.tracks[track - 1] && this.tracks[track - 1].sends[send]) {
+      this.tracks[track - 1].sends[send][m[3]] = args[0];
+      this.sendTrack(track);
+    }
+  }],
+  [/^\/track\/(\d+)\/clip\/stop$/, function (m) {
+    this.stopClips(this.trackOffset + parseInt(m[1], 10));
+  }],
+  [/^\/track\/(\d+)\/clip\/(\d+)\/(launch|record|select|remove|duplicate|name|color)$/, function (m, args) {
+    var track = this.trackOffset + parseInt(m[1], 10);
+    var scene = this.sceneOffset + parseInt(m[2], 10);
+    var clip = this.getClip(track, scene);
+    if (!clip) {
+      return;
+    }
+    switch (m[3]) {
+      case 'launch':
+        return this.startClip(track, scene);
+      case 'record':
+        return this.startClip(track, scene, true);
+      case 'select':
+        return this.setClip(track, scene, {isSelected: true});
+      case 'remove':
+        this.setClip(track, scene, {hasContent: false, isPlaying: false, isRecording: false, name: ''});
+        return;
+      case 'duplicate':
+        var next = this.getClip(track, scene + 1);
+        if (next) {
+          this.setClip(track, scene + 1, _.pick(clip, 'name', 'color', 'hasContent'));
+        }
+        return;
+      default:
+        var state = {};
+        state[m[3]] = args[0];
+        this.setClip(track, scene, state);
+    }
+  }],
+  [/^\/device\/bypass$/, function () {
+    this.setDevice({bypass: this.devices[this.deviceIndex].bypass ? 0 : 1});
+  }],
+  [/^\/device\/(\+|-)$/, function (m) {
+    var index = this.deviceIndex + (m[1] == '+' ? 1 : -1);
+    if (index >= 0 && index < this.devices.length) {
+      this.deviceIndex = index;
+      this.sendDevice();
+    }
+  }],
+  [/^\/device\/param\/(\+|-)$/, function (m) {
+    var device = this.devices[this.deviceIndex];
+    var page = device.page + (m[1] == '+' ? 1 : -1);
+    if (page >= 0 && page < device.pages.length) {
+      this.setDevice({page: page});
+    }
+  }],
+  [/^\/device\/page\/(\d+)\/select$/, function (m) {
+    var page = parseInt(m[1], 10) - 1;
+    if (page < this.devices[this.deviceIndex].pages.length) {
+      this.setDevice({page: page});
+    }
+  }],
+  [/^\/fxparam\/(\d+)\/value$/, function (m, args) {
+    var device = this.devices[this.deviceIndex];
+    var param = device.pages[device.page].params[parseInt(m[1], 10) - 1];
+    if (param) {
+      param.value = args[0];
+      this.send('/fxparam/' + m[1] + '/value', param.value);
+    }
+  }]
+];
+
+/**
+ * Convert a toggle argument to 0 or 1
+ * @param  {Mixed}  value argument
+ * @return {Number} 0 or 1
+ */
+function toggleValue(value) {
+  return value ? 1 : 0;
+}
+
+/**
+ * Handle an incoming message
+ * @param  {String} address OSC address
+ * @param  {Array}  args    OSC arguments
+ */
+Simulator.prototype.receive = function (address, args) {
+  if (this.dropCount > 0 || (this.dropRate && Math.random() < this.dropRate)) {
+    this.dropCount = Math.max(0, this.dropCount - 1);
+    this.emit('drop', address, args);
+    return;
+  }
+
+  this.emit('command', address, args);
+
+  var command = _.find(COMMANDS, function (c) {
+    return c[0].test(address);
+  });
+
+  if (command) {
+    command[1].call(this, command[0].exec(address), args);
+  } else {
+    this.emit('unknown', address, args);
+  }
+};
+
+/**
+ * Number of feedback messages sent per turn of the event loop, a full
+ * dump sent at once overflows the UDP receive buffer
+ * @type {Number}
+ */
+var BATCH_SIZE = 16;
+
+/**
+ * Queue a feedback message to OSC4Bitwig
+ * @param  {String} address OSC address
+ * @param  {Mixed}  value   OSC argument
+ */
+Simulator.prototype.send = function (address, value) {
+  this.emit('feedback', address, value);
+  this.queue.push([address, value]);
+  if (!this.flushing) {
+    this.flushing = setImmediate(this.flush.bind(this));
+  }
+};
+
+/**
+ * Send a batch of queued feedback messages
+ */
+Simulator.prototype.flush = function () {
+  var self = this;
+  this.flushing = null;
+  _.each(this.queue.splice(0, BATCH_SIZE), function (message) {
+    self.connection.send(message[0], message[1]);
+  });
+  if (this.queue.length) {
+    this.flushing = setImmediate(this.flush.bind(this));
+  }
+};
+
+/**
+ * Drop incoming packets, as if UDP lost them
+ * @param  {Number} count number of packets to drop
+ */
+Simulator.prototype.dropPackets = function (count) {
+  this.dropCount = count;
+};
+
+/**
+ * Send the full state, like OSC4Bitwig does on /refresh
+ */
+Simulator.prototype.dump = function () {
+  var self = this;
+
+  _.each(_.keys(TRANSPORT), function (prop) {
+    self.send(TRANSPORT[prop], self.transport[prop]);
+  });
+  this.send('/time/signature', this.transport.numerator + '/' + this.transport.denominator);
+
+  _.each(MASTER_PROPERTIES, function (prop) {
+    self.send('/master/' + prop, self.master[prop]);
+  });
+
+  _.each(_.range(this.numTracks), function (i) {
+    self.sendTrack(self.trackOffset + i + 1);
+  });
+  _.each(_.range(this.numScenes), function (i) {
+    self.sendScene(self.sceneOffset + i + 1);
+  });
+
+  this.sendDevice();
+};
+
+/**
+ * Get the bank position of a project track
+ * @param  {Number} track project track number, starting at 1
+ * @return {Number} bank position starting at 1, or 0 if not in the bank
+ */
+Simulator.prototype.trackSlot = function (track) {
+  var slot = track - this.trackOffset;
+  return slot >= 1 && slot <= this.numTracks ? slot : 0;
+};
+
+/**
+ * Get the bank position of a project scene
+ * @param  {Number} scene project scene number, starting at 1
+ * @return {Number} bank position starting at 1, or 0 if not in the bank
+ */
+Simulator.prototype.sceneSlot = function (scene) {
+  var slot = scene - this.sceneOffset;
+  return slot >= 1 && slot <= this.numScenes ? slot : 0;
+};
+
+/**
+ * Report the state of a track and its clips, if it is in the bank.
+ * Bank positions without a track are reported as empty.
+ * @param  {Number} track project track number, starting at 1
+ */
+Simulator.prototype.sendTrack = function (track) {
+  var slot = this.trackSlot(track);
+  var state = this.tracks[track - 1];
+  var self = this;
+
+  if (!slot) {
+    return;
+  }
+
+  _.each(TRACK_PROPERTIES, function (prop) {
+    self.send('/track/' + slot + '/' + prop, state ? state[prop] : (prop == 'name' ? '' : 0));
+  });
+  this.send('/track/' + slot + '/exists', !!state);
+
+  if (!state) {
+    return;
+  }
+  this.send('/track/' + slot + '/position', track - 1);
+
+  _.each(state.sends, function (send, i) {
+    self.send('/track/' + slot + '/send/' + i + '/name', send.name);
+    self.send('/track/' + slot + '/send/' + i + '/volume', send.volume);
+  });
+  _.each(_.range(this.numScenes), function (i) {
+    self.sendClip(track, self.sceneOffset + i + 1);
+  });
+};
+
+/**
+ * Report the state of a clip, if it is in the banks
+ * @param  {Number} track project track number, starting at 1
+ * @param  {Number} scene project scene number, starting at 1
+ */
+Simulator.prototype.sendClip = function (track, scene) {
+  var trackSlot = this.trackSlot(track);
+  var sceneSlot = this.sceneSlot(scene);
+  var clip = this.getClip(track, scene);
+  var self = this;
+
+  if (!trackSlot || !sceneSlot || !clip) {
+    return;
+  }
+
+  // slots are reported 0-indexed
+  _.each(CLIP_PROPERTIES, function (prop) {
+    self.send('/track/' + trackSlot + '/slot/' + (sceneSlot - 1) + '/' + prop, clip[prop]);
+  });
+};
+
+/**
+ * Report the state of a scene, if it is in the bank
+ * @param  {Number} scene project scene number, starting at 1
+ */
+Simulator.prototype.sendScene = function (scene) {
+  var slot = this.sceneSlot(scene);
+  var state = this.scenes[scene - 1] || {name: '', exists: false, selected: false, color: ''};
+  var self = this;
+
+  if (!slot) {
+    return;
+  }
+
+  _.each(SCENE_PROPERTIES, function (prop) {
+    self.send('/scene/' + slot + '/' + prop, state[prop]);
+  });
+  if (this.scenes[scene - 1]) {
+    this.send('/scene/' + slot + '/position', scene - 1);
+  }
+};
+
+/**
+ * Report the state of the cursor device
+ */
+Simulator.prototype.sendDevice = function () {
+  var device = this.devices[this.deviceIndex];
+  var page = device.pages[device.page];
+  var self = this;
+
+  this.send('/device/name', device.name);
+  this.send('/device/bypass', device.bypass);
+  this.send('/device/page/selected', device.page);
+  _.each(device.pages, function (p, i) {
+    self.send('/device/page/' + (i + 1) + '/name', p.name);
+  });
+  _.each(page.params, function (param, i) {
+    self.send('/fxparam/' + (i + 1) + '/name', param.name);
+    self.send('/fxparam/' + (i + 1) + '/value', param.value);
+  });
+};
+
+/**
+ * Change the transport state and report it
+ * @param {Object} state properties to change, ex {playing: 1, tempo: 128}
+ */
+Simulator.prototype.setTransport = function (state) {
+  var self = this;
+  _.extend(this.transport, state);
+  _.each(_.keys(state), function (prop) {
+    if (TRANSPORT[prop]) {
+      self.send(TRANSPORT[prop], self.transport[prop]);
+    }
+  });
+  if (_.has(state, 'numerator') || _.has(state, 'denominator')) {
+    this.send('/time/signature', this.transport.numerator + '/' + this.transport.denominator);
+  }
+};
+
+/**
+ * Change the master track state and report it
+ * @param {Object} state properties to change, ex {volume: 100}
+ */
+Simulator.prototype.setMaster = function (state) {
+  var self = this;
+  _.extend(this.master, state);
+  _.each(_.keys(state), function (prop) {
+    self.send('/master/' + prop, self.master[prop]);
+  });
+};
+
+/**
+ * Change a track and report it, ex setTrack(3, {name: 'Bass'})
+ * @param {Number} track project track number, starting at 1
+ * @param {Object} state properties to change
+ */
+Simulator.prototype.setTrack = function (track, state) {
+  var slot = this.trackSlot(track);
+  var self = this;
+
+  if (!this.tracks[track - 1]) {
+    throw new RangeError('no track ' + track + ' in the project');
+  }
+  _.extend(this.tracks[track - 1], state);
+
+  if (slot) {
+    _.each(_.keys(state), function (prop) {
+      self.send('/track/' + slot + '/' + prop, self.tracks[track - 1][prop]);
+    });
+  }
+};
+
+/**
+ * Get a clip from the project
+ * @param  {Number} track project track number, starting at 1
+ * @param  {Number} scene project scene number, starting at 1
+ * @return {Object} clip state, undefined if there is no such slot
+ */
+Simulator.prototype.getClip = function (track, scene) {
+  return this.tracks[track - 1] && this.tracks[track - 1].clips[scene - 1];
+};
+
+/**
+ * Change a clip and report it, ex setClip(1, 2, {hasContent: true})
+ * @param {Number} track project track number, starting at 1
+ * @param {Number} scene project scene number, starting at 1
+ * @param {Object} state properties to change
+ */
+Simulator.prototype.setClip = function (track, scene, state) {
+  var clip = this.getClip(track, scene);
+  var trackSlot = this.trackSlot(track);
+  var sceneSlot = this.sceneSlot(scene);
+  var self = this;
+
+  if (!clip) {
+    throw new RangeError('no clip slot ' + track + '/' + scene + ' in the project');
+  }
+  _.extend(clip, state);
+
+  if (trackSlot && sceneSlot) {
+    _.each(_.keys(state), function (prop) {
+      self.send('/track/' + trackSlot + '/slot/' + (sceneSlot - 1) + '/' + prop, clip[prop]);
+    });
+  }
+};
+
+/**
+ * Start a clip playing, or recording, stopping the other clips on the
+ * track
+ * @param {Number}  track  project track number, starting at 1
+ * @param {Number}  scene  project scene number, starting at 1
+ * @param {Boolean} record true to record into the slot
+ */
+Simulator.prototype.startClip = function (track, scene, record) {
+  var self = this;
+  var clip = this.getClip(track, scene);
+
+  if (!clip || (!record && !clip.hasContent)) {
+    return;
+  }
+
+  _.each(this.tracks[track - 1].clips, function (other, i) {
+    if (i != scene - 1 && (other.isPlaying || other.isRecording)) {
+      self.setClip(track, i + 1, {isPlaying: false, isRecording: false});
+    }
+  });
+
+  this.setClip(track, scene, {
+    hasContent: true,
+    isPlaying: true,
+    isQueued: false,
+    isRecording: !!record
+  });
+};
+
+/**
+ * Stop all clips on a track
+ * @param  {Number} track project track number, starting at 1
+ */
+Simulator.prototype.stopClips = function (track) {
+  var self = this;
+  _.each(this.tracks[track - 1] ? this.tracks[track - 1].clips : [], function (clip, i) {
+    if (clip.isPlaying || clip.isRecording || clip.isQueued) {
+      self.setClip(track, i + 1, {isPlaying: false, isRecording: false, isQueued: false});
+    }
+  });
+};
+
+/**
+ * Launch every clip in a scene
+ * @param  {Number} scene project scene number, starting at 1
+ */
+Simulator.prototype.launchScene = function (scene) {
+  var self = this;
+  _.each(this.tracks, function (track, i) {
+    var clip = track.clips[scene - 1];
+    if (clip && clip.hasContent) {
+      self.startClip(i + 1, scene);
+    } else {
+      self.stopClips(i + 1);
+    }
+  });
+};
+
+/**
+ * Change the cursor device and report it
+ * @param {Object} state properties to change, ex {name: 'EQ', bypass: 1}
+ */
+Simulator.prototype.setDevice = function (state) {
+  _.extend(this.devices[this.deviceIndex], state);
+  this.sendDevice();
+};
+
+/**
+ * Scroll the track bank and report the new bank
+ * @param  {Number} amount number of tracks to scroll by
+ */
+Simulator.prototype.scrollTracks = function (amount) {
+  var self = this;
+  var max = Math.max(0, this.tracks.length - 1);
+  this.trackOffset = Math.min(max, Math.max(0, this.trackOffset + amount));
+  _.each(_.range(this.numTracks), function (i) {
+    self.sendTrack(self.trackOffset + i + 1);
+  });
+};
+
+/**
+ * Scroll the scene bank and report the new bank
+ * @param  {Number} amount number of scenes to scroll by
+ */
+Simulator.prototype.scrollScenes = function (amount) {
+  var self = this;
+  var max = Math.max(0, this.scenes.length - 1);
+  this.sceneOffset = Math.min(max, Math.max(0, this.sceneOffset + amount));
+  _.each(_.range(this.numScenes), function (i) {
+    self.sendScene(self.sceneOffset + i + 1);
+  });
+  _.each(_.range(this.numTracks), function (i) {
+    var track = self.trackOffset + i + 1;
+    _.each(_.range(self.numScenes), function (j) {
+      self.sendClip(track, self.sceneOffset + j + 1);
+    });
+  });
+};
+
+/**
+ * Stop listening and close the transport
+ * @return {Promise} resolves when the transport is closed
+ */
+Simulator.prototype.close = function () {
+  var self = this;
+  clearImmediate(this.flushing);
+  this.queue = [];
+  return this.connection.close().then(function () {
+    self.emit('close');
+  });
+};
+
+module.exports = Simulator;
@@ -0,0 +1,231 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var _ = require('underscore');
+
+/**
+ * Snapshot format version, version 1 snapshots are still restored
+ * @type {Number}
+ */
+var VERSION = 2;
+
+/**
+ * Properties that can be restored
+ * @type {Array}
+ */
+var PROPERTIES = ['volume', 'pan', 'mute', 'solo', 'recarm', 'sends', 'transport', 'device'];
+
+exports.PROPERTIES = PROPERTIES;
+
+/**
+ * Take a snapshot of the mixer, transport and device state of a song.
+ * Volume, pan, send and parameter values are raw, the resolution
+ * they were taken at is stored with them.  Tracks are stored with their
+ * position in the project, so they are restored to the same tracks
+ * after the track bank is scrolled.
+ * @param  {Object} song Song to take a snapshot of
+ * @return {Object} plain object that can be serialized as JSON
+ */
+exports.take = function (song) {
+  return {
+    version: VERSION,
+    resolution: song.bitwig.scale.resolution,
+    master: {
+      volume: song.volume,
+      pan: song.pan
+    },
+    transport: {
+      tempo: song.tempo,
+      click: song.click,
+      overdub: song.overdub,
+      punchIn: song.punchIn,
+      punchOut: song.punchOut,
+      preroll: song.preroll,
+      numerator: song.numerator,
+      denominator: song.denominator
+    },
+    tracks: _.map(song.tracks, function (track) {
+      return {
+        id: track.id,
+        projectIndex: track.projectIndex,
+        name: track.name,
+        volume: track.volume,
+        pan: track.pan,
+        mute: track.mute,
+        solo: track.solo,
+        recarm: track.recarm,
+        sends: _.pluck(track.sends, 'volume')
+      };
+    }),
+    device: {
+      name: song.device.name,
+      params: _.map(song.device.params, function (param) {
+        return {
+          id: param.id,
+          name: param.name,
+          value: param.value
+        };
+      })
+    }
+  };
+};
+
+/**
+ * Find the track in the track bank a saved track was taken from, by its
+ * position in the project.  Version 1 snapshots don't have positions,
+ * their tracks are matched as if the bank was at the start of the
+ * project.
+ * @param  {Object} song  Song
+ * @param  {Object} saved track from a snapshot
+ * @param  {Array}  [numbers] only find these project track numbers,
+ *                            starting at 1
+ * @return {Object} Track, undefined if it isn't in the bank
+ */
+exports.findTrack = function (song, saved, numbers) {
+  var projectIndex = _.isNumber(saved.projectIndex) ? saved.projectIndex : saved.id - 1;
+  if (numbers && !_.contains(numbers, projectIndex + 1)) {
+    return;
+  }
+  return _.findWhere(song.tracks, {projectIndex: projectIndex});
+};
+
+/**
+ * Convert a raw value from one resolution to another
+ * @param  {Number} raw  raw value
+ * @param  {Number} from resolution of the value
+ * @param  {Number} to   resolution to convert to
+ * @return {Number} raw value at the new resolution
+ */
+exports.convert = function (raw, from, to) {
+  return from == to ? raw : Math.round(raw / (from - 1) * (to - 1));
+};
+
+/**
+ * Restore a snapshot, only sending messages for values that differ
+ * from the current state.
+ *
+ * Options are as follows:
+ *
+ * opts.properties = properties to restore, default all of
+ *   volume, pan, mute, solo, recarm, sends, transport, device
+ * opts.tracks = project track numbers to restore, starting at 1,
+ *   default all
+ * opts.master = restore master volume and pan, default true
+ *
+ * Only tracks in the current track bank are restored.  Device
+ * parameters are only restored if the selected device has the same
+ * name as the device in the snapshot.
+ *
+ * @param  {Object} song     Song to restore to
+ * @param  {Object} snapshot snapshot from take
+ * @param  {Object} opts     options
+ * @return {Promise} resolves when every message is sent, or confirmed
+ *                   if confirm is enabled
+ */
+exports.restore = function (song, snapshot, opts) {
+  opts = opts || {};
+
+  if (!snapshot || !_.contains([1, VERSION], snapshot.version)) {
+    throw new Error('unsupported snapshot version ' + (snapshot && snapshot.version));
+  }
+
+  var properties = opts.properties || PROPERTIES;
+  var unknown = _.difference(properties, PROPERTIES);
+  if (unknown.length) {
+    throw new Error('unknown snapshot properties ' + unknown.join(', '));
+  }
+
+  var scale = song.bitwig.scale;
+  var results = [];
+
+  function has(property) {
+    return _.contains(properties, property);
+  }
+
+  // convert a raw value from the snapshot resolution to a setter value
+  function level(raw) {
+    return {normalized: raw / (snapshot.resolution - 1)};
+  }
+
+  function restoreLevel(setter, raw, current) {
+    if (!_.isNumber(raw) || scale.toRaw(level(raw)) === current) {
+      return;
+    }
+    results.push(setter(level(raw)));
+  }
+
+  function restoreValue(setter, value, current) {
+    if (_.isUndefined(value) || value == current) {
+      return;
+    }
+    results.push(setter(value));
+  }
+
+  if (opts.master !== false) {
+    if (has('volume')) {
+      restoreLevel(song.setVolume.bind(song), snapshot.master.volume, song.volume);
+    }
+    if (has('pan')) {
+      restoreLevel(song.setPan.bind(song), snapshot.master.pan, song.pan);
+    }
+  }
+
+  if (has('transport')) {
+    var transport = snapshot.transport;
+    restoreValue(song.setTempo.bind(song), transport.tempo, song.tempo);
+    restoreValue(song.setClick.bind(song), transport.click, song.click);
+    restoreValue(song.setOverdub.bind(song), transport.overdub, song.overdub);
+    restoreValue(song.setPunchIn.bind(song), transport.punchIn, song.punchIn);
+    restoreValue(song.setPunchOut.bind(song), transport.punchOut, song.punchOut);
+    restoreValue(song.setPreroll.bind(song), transport.preroll, song.preroll);
+    if (transport.numerator != song.numerator || transport.denominator != song.denominator) {
+      results.push(song.setTimeSignature(transport.numerator, transport.denominator));
+    }
+  }
+
+  _.each(snapshot.tracks, function (saved) {
+    var track = exports.findTrack(song, saved, opts.tracks);
+    if (!track) {
+      return;
+    }
+    if (has('volume')) {
+      restoreLevel(track.setVolume.bind(track), saved.volume, track.volume);
+    }
+    if (has('pan')) {
+      restoreLevel(track.setPan.bind(track), saved.pan, track.pan);
+    }
+    if (has('mute')) {
+      restoreValue(track.setMute.bind(track), saved.mute, track.mute);
+    }
+    if (has('solo')) {
+      restoreValue(track.setSolo.bind(track), saved.solo, track.solo);
+    }
+    if (has('recarm')) {
+      restoreValue(track.setRecarm.bind(track), saved.recarm, track.recarm);
+    }
+    if (has('sends')) {
+      _.each(saved.sends, function (raw, i) {
+        if (i < track.sends.length) {
+          restoreLevel(track.setSendVolume.bind(track, i), raw, track.sends[i].volume);
+        }
+      });
+    }
+  });
+
+  if (has('device') && snapshot.device.name == song.device.name) {
+    _.each(snapshot.device.params, function (saved) {
+      var param = song.device.params[saved.id];
+      if (param) {
+        restoreValue(
+          song.device.set.bind(song.device, saved.id),
+          exports.convert(saved.value, snapshot.resolution, scale.resolution),
+          param.value
+        );
+      }
+    });
+  }
+
+  return Promise.all(results);
+};
@@ -6,6 +6,13 @@
 var EventEmitter = require('events').EventEmitter;
 var _ = require('underscore');
 var Track = require('./track');
+var Device = require('./device');
+var Scene = require('./scene');
+var util = require('./util');
+var events = require('./events');
+var time = require('./time');
+var snapshot = require('./snapshot');
+var Morph = require('./morph');
 
 /**
  * Song object, represents the current state of the Bitwig
@@ -28,11 +35,30 @@ var Song = function (bitwig) {
    */
   this.tracks = [];
 
+  /**
+   * Current scenes
+   * @type {Array}
+   */
+  this.scenes = [];
+
+  /**
+   * Absolute index of the last launched or selected scene, -1 if none
+   * @type {Number}
+   */
+  this.currentScene = -1;
+
+  /**
+   * The cursor device, follows the selected device
+   * @type {Device}
+   */
+  this.device = new Device(bitwig);
+
   /**
    * Current device parameters
+   * @deprecated use device.params
    * @type {Array}
    */
-  this.fxparams = [];
+  this.fxparams = this.device.params;
 
   /**
    * Master track volume
@@ -64,12 +90,108 @@ var Song = function (bitwig) {
    */
   this.recording = 0;
 
+  /**
+   * Transport overdub state, 0 = disabled, 1 = enabled
+   * @type {Number}
+   */
+  this.overdub = 0;
+
+  /**
+   * Transport loop state, 0 = disabled, 1 = enabled
+   * @type {Number}
+   */
+  this.looping = 0;
+
+  /**
+   * Punch in state, 0 = disabled, 1 = enabled
+   * @type {Number}
+   */
+  this.punchIn = 0;
+
+  /**
+   * Punch out state, 0 = disabled, 1 = enabled
+   * @type {Number}
+   */
+  this.punchOut = 0;
+
+  /**
+   * Number of pre-roll bars before recording starts
+   * @type {Number}
+   */
+  this.preroll = 0;
+
+  /**
+   * Current tempo in beats per minute
+   * @type {Number}
+   */
+  this.tempo = 120;
+
+  /**
+   * Current playhead position in beats
+   * @type {Number}
+   */
+  this.position = 0;
+
+  /**
+   * Current playhead position as displayed by Bitwig
+   * @type {String}
+   */
+  this.positionStr = '';
+
+  /**
+   * Time signature numerator
+   * @type {Number}
+   */
+  this.numerator = 4;
+
+  /**
+   * Time signature denominator
+   * @type {Number}
+   */
+  this.denominator = 4;
+
   /**
    * Currently selected track number
    * @type {Number}
    */
   this.selectedTrack = 0;
 
+  /**
+   * Absolute project index of the first track in the track bank, as
+   * reported by Bitwig
+   * @type {Number}
+   */
+  this.trackOffset = 0;
+
+  /**
+   * Absolute project index of the first scene in the scene bank, as
+   * reported by Bitwig
+   * @type {Number}
+   */
+  this.sceneOffset = 0;
+
+  /**
+   * Offsets the track and scene banks are moving to, {offset, timer}
+   * by 'track' and 'scene', null when Bitwig has reported the move
+   * @type {Object}
+   */
+  this.pendingOffsets = {
+    track: null,
+    scene: null
+  };
+
+  /**
+   * Running morphs, cancelled when the song is destroyed
+   * @type {Array}
+   */
+  this.morphs = [];
+
+  /**
+   * OSC listeners registered by this song
+   * @type {Array}
+   */
+  this.oscListeners = [];
+
   /**
    * EventEmitter for song events
    * @type {EventEmitter}
@@ -104,6 +226,132 @@ var Song = function (bitwig) {
     self.recording = recording;
   }
 
+  /**
+   * Respond to /overdub
+   * Called when overdub is enabled or disabled
+   * @param  {Number} overdub state (1 = enabled, 0 = disabled)
+   */
+  function overdubListener(overdub) {
+    self.eventEmitter.emit('overdub', {
+      value: overdub,
+      prev: self.overdub
+    });
+    self.overdub = overdub;
+  }
+
+  /**
+   * Respond to /repeat
+   * Called when looping is enabled or disabled
+   * @param  {Number} loop state (1 = enabled, 0 = disabled)
+   */
+  function loopListener(loop) {
+    self.eventEmitter.emit('loop', {
+      value: loop,
+      prev: self.looping
+    });
+    self.looping = loop;
+  }
+
+  /**
+   * Respond to /punchIn
+   * Called when punch in is enabled or disabled
+   * @param  {Number} punch in state (1 = enabled, 0 = disabled)
+   */
+  function punchInListener(punchIn) {
+    self.eventEmitter.emit('punchIn', {
+      value: punchIn,
+      prev: self.punchIn
+    });
+    self.punchIn = punchIn;
+  }
+
+  /**
+   * Respond to /punchOut
+   * Called when punch out is enabled or disabled
+   * @param  {Number} punch out state (1 = enabled, 0 = disabled)
+   */
+  function punchOutListener(punchOut) {
+    self.eventEmitter.emit('punchOut', {
+      value: punchOut,
+      prev: self.punchOut
+    });
+    self.punchOut = punchOut;
+  }
+
+  /**
+   * Respond to /preroll
+   * Called when the number of pre-roll bars changes
+   * @param  {Number} preroll number of bars
+   */
+  function prerollListener(preroll) {
+    self.eventEmitter.emit('preroll', {
+      value: preroll,
+      prev: self.preroll
+    });
+    self.preroll = preroll;
+  }
+
+  /**
+   * Respond to /tempo/raw
+   * Called when the tempo changes
+   * @param  {Number} tempo new tempo in bpm
+   */
+  function tempoListener(tempo) {
+    self.eventEmitter.emit('tempo', {
+      value: tempo,
+      prev: self.tempo
+    });
+    self.tempo = tempo;
+  }
+
+  /**
+   * Respond to /time
+   * Called when the playhead moves
+   * @param  {Number} position new position in beats
+   */
+  function positionListener(position) {
+    self.eventEmitter.emit('position', {
+      value: position,
+      prev: self.position
+    });
+    self.position = position;
+  }
+
+  /**
+   * Respond to /time/str
+   * Called when the displayed playhead position changes
+   * @param  {String} positionStr new position, ex 17.3.1:0
+   */
+  function positionStrListener(positionStr) {
+    self.eventEmitter.emit('positionStr', {
+      value: positionStr,
+      prev: self.positionStr
+    });
+    self.positionStr = positionStr;
+  }
+
+  /**
+   * Respond to /time/signature
+   * Called when the time signature changes
+   * @param  {String} signature new time signature, ex 3/4
+   */
+  function timeSignatureListener(signature) {
+    var parts = String(signature).split('/');
+    var value = {
+      numerator: parseInt(parts[0], 10),
+      denominator: parseInt(parts[1], 10)
+    };
+    self.eventEmitter.emit('timeSignature', {
+      value: value,
+      prev: {
+        numerator: self.numerator,
+        denominator: self.denominator
+      }
+    });
+    self.numerator = value.numerator;
+    self.denominator = value.denominator;
+  }
+
   /**
    * Respond to /click
    * Called when the metronome is enabled or disabled
@@ -159,11 +407,12 @@ var Song = function (bitwig) {
   /**
    * Respond to /master/volume
    * Called when master track volume changes
-   * @param  {Number} volume new volume (0.0 - 1.0)
+   * @param  {Number} volume new raw volume
    */
   function volumeListener(volume) {
     self.eventEmitter.emit('volume', {
       value: volume,
+      normalized: bitwig.scale.fromRaw(volume),
       prev: self.volume
     });
     self.volume = volume;
@@ -172,11 +421,12 @@ var Song = function (bitwig) {
   /**
    * Respond to /master/pan
    * Called when master track panning changes
-   * @param  {Number} pan new panning (-1.0 - 1.0)
+   * @param  {Number} pan new raw panning
    */
   function panListener(pan) {
     self.eventEmitter.emit('pan', {
       value: pan,
+      normalized: bitwig.scale.fromRaw(pan),
       prev: self.pan
     });
     self.pan = pan;
@@ -195,30 +445,44 @@ var Song = function (bitwig) {
     self.selected = selected;
   }
 
-  bitwig.receiver.on('/play', playListener);
-  bitwig.receiver.on('/record', recordListener);
-  bitwig.receiver.on('/click', clickListener);
-  bitwig.receiver.on('/master/solo', soloListener);
-  bitwig.receiver.on('/master/mute', muteListener);
-  bitwig.receiver.on('/master/recarm', recarmListener);
-  bitwig.receiver.on('/master/volume', volumeListener);
-  bitwig.receiver.on('/master/pan', panListener);
-  bitwig.receiver.on('/master/selected', selectedListener);
+  util.listen(self, '/play', playListener);
+  util.listen(self, '/record', recordListener);
+  util.listen(self, '/click', clickListener);
+  util.listen(self, '/overdub', overdubListener);
+  util.listen(self, '/repeat', loopListener);
+  util.listen(self, '/punchIn', punchInListener);
+  util.listen(self, '/punchOut', punchOutListener);
+  util.listen(self, '/preroll', prerollListener);
+  util.listen(self, '/tempo/raw', tempoListener);
+  util.listen(self, '/time', positionListener);
+  util.listen(self, '/time/str', positionStrListener);
+  util.listen(self, '/time/signature', timeSignatureListener);
+  util.listen(self, '/master/solo', soloListener);
+  util.listen(self, '/master/mute', muteListener);
+  util.listen(self, '/master/recarm', recarmListener);
+  util.listen(self, '/master/volume', volumeListener);
+  util.listen(self, '/master/pan', panListener);
+  util.listen(self, '/master/selected', selectedListener);
 
-  // set up tracks and fxparam listeners
-  _.each(_.range(8), function (i) {
+  // set up tracks
+  _.each(_.range(bitwig.numTracks), function (i) {
     // tracks are 1-indexed for some reason
     self.tracks[i] = new Track(self.bitwig, i+1);
-    self.fxparams[i] = {
-      name: '',
-      value: 0
-    };
-    bitwig.receiver.on('/fxparam/' + (i + 1) + '/name', function (name) {
-      self.fxparams[i].name = name;
-    });
-    bitwig.receiver.on('/fxparam/' + (i + 1) + '/value', function (value) {
-      self.fxparams[i].value = value;
-    });
+  });
+
+  // set up scenes
+  _.each(_.range(bitwig.numScenes), function (i) {
+    // scenes are 1-indexed too
+    self.scenes[i] = new Scene(self.bitwig, i+1);
+  });
+
+  self.eventEmitter.on('scene:launch', function (ev) {
+    self.currentScene = ev.value;
+  });
+  self.eventEmitter.on('scene:selected', function (ev) {
+    if (ev.value) {
+      self.currentScene = self.sceneOffset + ev.id - 1;
+    }
   });
 };
 
@@ -226,21 +490,21 @@ var Song = function (bitwig) {
  * Trigger song stop
  */
 Song.prototype.stop = function () {
-  this.bitwig.emitter.emit('/stop', 1);
+  this.bitwig.transport.send('/stop', 1);
 };
 
 /**
  * Trigger song play
  */
 Song.prototype.play = function () {
-  this.bitwig.emitter.emit('/play', 1);
+  this.bitwig.transport.send('/play', 1);
 };
 
 /**
  * Toggle song record
  */
 Song.prototype.record = function () {
-  this.bitwig.emitter.emit('/record');
+  this.bitwig.transport.send('/record');
 };
 
 /**
@@ -248,80 +512,297 @@ Song.prototype.record = function () {
  */
 Song.prototype.loop = function (forceOn) {
   if (forceOn) {
-    this.bitwig.emitter.emit('/repeat', 1);
+    this.bitwig.transport.send('/repeat', 1);
   } else {
-    this.bitwig.emitter.emit('/repeat');
+    this.bitwig.transport.send('/repeat');
   }
 };
 
 /**
  * Enable/disable metronome
  * @param  {Number} state metronome state (1 = on)
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
 Song.prototype.setClick = function (state) {
-  if (state) {
-    this.bitwig.emitter.emit('/click', 1);
-  } else {
-    this.bitwig.emitter.emit('/click');
+  // /click without an argument toggles, so only send it when the state
+  // differs
+  if (!state == !this.click) {
+    return this.bitwig.confirm ? Promise.resolve(this.click) : undefined;
   }
+  return this.bitwig.send('/click', state ? 1 : undefined, {
+    value: state ? 1 : 0,
+    current: this.click
+  });
 };
 
 /**
  * Trigger a scene play button
- * @param  {Number} scene scene number to play
+ * @param  {Number} scene scene number to play, starting at 1
  */
 Song.prototype.launchScene = function (scene) {
-  this.bitwig.emitter.emit('/scene/' + scene + '/launch');
+  util.checkIndex('scene', scene, 1, this.scenes.length);
+  this.scenes[scene - 1].launch();
+};
+
+/**
+ * Launch the scene after the current scene, scrolling the scene
+ * bank if needed
+ */
+Song.prototype.launchNextScene = function () {
+  this.launchSceneAt(this.currentScene + 1);
+};
+
+/**
+ * Launch the scene before the current scene, scrolling the scene
+ * bank if needed
+ */
+Song.prototype.launchPrevScene = function () {
+  this.launchSceneAt(Math.max(0, this.currentScene - 1));
+};
+
+/**
+ * Launch a scene by its absolute project index, scrolling the scene
+ * bank so the scene is visible.  When the bank has to scroll, the scene
+ * is launched once Bitwig reports it at its new bank position.  Scenes
+ * past the end of the project are not launched.
+ * @param  {Number} index absolute index of the scene, starting at 0
+ */
+Song.prototype.launchSceneAt = function (index) {
+  util.checkIndex('scene index', index, 0, Infinity);
+  var offset = targetOffset(this, 'scene');
+  var end = _.findIndex(this.scenes, function (scene) {
+    return !scene.exists;
+  });
+
+  // the bank shows the end of the project
+  if (end != -1 && index >= this.sceneOffset + end) {
+    return;
+  }
+
+  if (index < offset) {
+    offset = index;
+  } else if (index >= offset + this.scenes.length) {
+    offset = index - this.scenes.length + 1;
+  }
+
+  if (offset == this.sceneOffset && !this.pendingOffsets.scene) {
+    this.scenes[index - offset].launch();
+    return;
+  }
+
+  // Bitwig stops scrolling at the end of the project, so only launch
+  // the bank position once it reports the scene there
+  var scene = this.scenes[index - offset];
+  var address = '/scene/' + scene.id;
+  var router = this.bitwig.router;
+  var timer = setTimeout(done, this.bitwig.confirmTimeout);
+
+  function done() {
+    clearTimeout(timer);
+    router.remove(address + '/position', positionListener);
+    router.remove(address + '/exists', existsListener);
+  }
+
+  function positionListener(position) {
+    if (position == index) {
+      done();
+      scene.launch();
+    }
+  }
+
+  function existsListener(exists) {
+    if (!exists) {
+      done();
+    }
+  }
+
+  router.add(address + '/position', positionListener);
+  router.add(address + '/exists', existsListener);
+  this.setSceneOffset(offset);
 };
 
 /**
  * Sets the master track volume
- * @param {Number} volume new volume
+ * @param {Mixed} volume new volume, see Scale for accepted values
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
 Song.prototype.setVolume = function (volume) {
-  this.bitwig.emitter.emit('/master/volume',
+  var arg = this.bitwig.scale.toOsc(volume);
+  return this.bitwig.send('/master/volume', arg, {
+    value: arg.value,
+    current: this.volume
+  });
+};
+
+/**
+ * Sets the master track panning
+ * @param {Mixed} pan new panning, center is half of the range
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Song.prototype.setPan = function (pan) {
+  var arg = this.bitwig.scale.toOsc(pan);
+  return this.bitwig.send('/master/pan', arg, {
+    value: arg.value,
+    current: this.pan
+  });
+};
+
+/**
+ * Sets the tempo
+ * @param {Number} tempo new tempo
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Song.prototype.setTempo = function (tempo) {
+  return this.bitwig.send('/tempo/raw',
     {
       type: 'integer',
-      value: volume
+      value: tempo
+    },
+    {
+      value: tempo,
+      current: this.tempo
     }
   );
 };
 
 /**
- * Sets the master track panning
- * @param {Number} pan new panning
+ * Sets the song time position
+ * @param {Mixed} position new position in beats, as a bars.beats.ticks
+ *                         string or as {seconds: n}
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
-Song.prototype.setPan = function (pan) {
-  this.bitwig.emitter.emit('/master/pan',
+Song.prototype.setTime = function (position) {
+  return this.bitwig.send('/time',
+    {
+      type: 'float',
+      value: this.toBeats(position)
+    }
+  );
+};
+
+/**
+ * Convert a position to beats using the current time signature
+ * and tempo
+ * @param  {Mixed}  position beats, bars.beats.ticks string or {seconds: n}
+ * @return {Number} position in beats
+ */
+Song.prototype.toBeats = function (position) {
+  return time.toBeats(position, this);
+};
+
+/**
+ * Format a position as a bars.beats.ticks string using the current
+ * time signature
+ * @param  {Mixed}  position beats, bars.beats.ticks string or {seconds: n}
+ * @return {String} position, ex '17.3.0'
+ */
+Song.prototype.formatTime = function (position) {
+  return time.format(this.toBeats(position), this);
+};
+
+/**
+ * Convert a position to seconds at the current tempo
+ * @param  {Mixed}  position beats, bars.beats.ticks string or {seconds: n}
+ * @return {Number} seconds
+ */
+Song.prototype.toSeconds = function (position) {
+  return time.toSeconds(this.toBeats(position), this);
+};
+
+/**
+ * Enable/disable overdub
+ * @param {Number} overdub overdub state (1 = on)
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Song.prototype.setOverdub = function (overdub) {
+  return this.bitwig.send('/overdub',
     {
       type: 'integer',
-      value: pan
+      value: overdub ? 1 : 0
+    },
+    {
+      value: overdub ? 1 : 0,
+      current: this.overdub
     }
   );
 };
 
 /**
- * Sets the tempo
- * @param {Number} tempo new tempo
+ * Enable/disable punch in
+ * @param {Number} punchIn punch in state (1 = on)
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
-Song.prototype.setTempo = function (tempo) {
-  this.bitwig.emitter.emit('/tempo/raw',
+Song.prototype.setPunchIn = function (punchIn) {
+  return this.bitwig.send('/punchIn',
     {
       type: 'integer',
-      value: tempo
+      value: punchIn ? 1 : 0
+    },
+    {
+      value: punchIn ? 1 : 0,
+      current: this.punchIn
     }
   );
 };
 
 /**
- * Sets the song time position
- * @param {Number} time new position
+ * Enable/disable punch out
+ * @param {Number} punchOut punch out state (1 = on)
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
-Song.prototype.setTime = function (time) {
-  this.bitwig.emitter.emit('/time',
+Song.prototype.setPunchOut = function (punchOut) {
+  return this.bitwig.send('/punchOut',
     {
       type: 'integer',
-      value: time
+      value: punchOut ? 1 : 0
+    },
+    {
+      value: punchOut ? 1 : 0,
+      current: this.punchOut
+    }
+  );
+};
+
+/**
+ * Sets the number of pre-roll bars
+ * @param {Number} preroll 0, 1, 2 or 4 bars
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Song.prototype.setPreroll = function (preroll) {
+  if (!_.contains([0, 1, 2, 4], preroll)) {
+    throw new RangeError('preroll must be 0, 1, 2 or 4 bars, got ' + preroll);
+  }
+  return this.bitwig.send('/preroll',
+    {
+      type: 'integer',
+      value: preroll
+    },
+    {
+      value: preroll,
+      current: this.preroll
+    }
+  );
+};
+
+/**
+ * Sets the time signature
+ * @param {Number} numerator   beats per bar
+ * @param {Number} denominator beat unit, ex 4 for quarter notes
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Song.prototype.setTimeSignature = function (numerator, denominator) {
+  util.checkIndex('numerator', numerator, 1, 99);
+  if (!_.contains([2, 4, 8, 16], denominator)) {
+    throw new RangeError('denominator must be 2, 4, 8 or 16, got ' + denominator);
+  }
+  return this.bitwig.send('/time/signature',
+    {
+      type: 'string',
+      value: numerator + '/' + denominator
+    },
+    {
+      value: numerator + '/' + denominator,
+      current: this.numerator + '/' + this.denominator
     }
   );
 };
@@ -330,14 +811,321 @@ Song.prototype.setTime = function (time) {
  * Toggles master fx bypass
  */
 Song.prototype.toggleFxBypass = function () {
-  this.bitwig.emitter.emit('/fx/bypass');
+  this.bitwig.transport.send('/fx/bypass');
 };
 
 /**
  * Selects the master track
  */
 Song.prototype.select = function () {
-  this.bitwig.emitter.emit('/master/select');
+  this.bitwig.transport.send('/master/select');
+};
+
+/**
+ * Scroll the track bank by a number of tracks, negative values
+ * scroll backwards, stopping at the first track
+ * @param  {Number} amount number of tracks to scroll by
+ */
+Song.prototype.scrollTracks = function (amount) {
+  this.setTrackOffset(Math.max(0, targetOffset(this, 'track') + amount));
+};
+
+/**
+ * Scroll the track bank forward by one page
+ */
+Song.prototype.nextTrackPage = function () {
+  this.bitwig.transport.send('/track/bank/+');
+};
+
+/**
+ * Scroll the track bank backward by one page
+ */
+Song.prototype.prevTrackPage = function () {
+  this.bitwig.transport.send('/track/bank/-');
+};
+
+/**
+ * Move the track bank so that its first track is at the given
+ * absolute project index.  trackOffset changes when Bitwig reports
+ * where the bank is, which is less than offset at the end of the project.
+ * @param {Number} offset absolute index of the first track in the bank
+ */
+Song.prototype.setTrackOffset = function (offset) {
+  util.checkIndex('track offset', offset, 0, Infinity);
+  moveBankTo(this, 'track', offset, this.tracks.length);
+};
+
+/**
+ * Move a bank by a number of positions, by whole pages first and then
+ * one position at a time, so at most a page of single steps is sent
+ * @param  {Object} bitwig   OSC4Bitwig instance
+ * @param  {String} prefix   '/track' or '/scene'
+ * @param  {Number} amount   positions to move, negative moves backwards
+ * @param  {Number} pageSize size of the bank
+ */
+function moveBank(bitwig, prefix, amount, pageSize) {
+  var dir = amount > 0 ? '+' : '-';
+  var steps = Math.abs(amount);
+  var i;
+  for (i = 0; i < Math.floor(steps / pageSize); i++) {
+    bitwig.transport.send(prefix + '/bank/' + dir);
+  }
+  for (i = 0; i < steps % pageSize; i++) {
+    bitwig.transport.send(prefix + '/' + dir);
+  }
+}
+
+/**
+ * Get the offset a bank will be at once Bitwig has made the moves
+ * already sent
+ * @param  {Object} song Song
+ * @param  {String} bank 'track' or 'scene'
+ * @return {Number} absolute index of the first track or scene
+ */
+function targetOffset(song, bank) {
+  var pending = song.pendingOffsets[bank];
+  return pending ? pending.offset : song[bank + 'Offset'];
+}
+
+/**
+ * Move a bank to an offset.  The move starts from where the moves
+ * already sent will leave the bank, so quick calls don't add up.
+ * Bitwig stops at the end of the project without reporting it, so the
+ * target is also forgotten when Bitwig stops reporting moves.
+ * @param  {Object} song     Song
+ * @param  {String} bank     'track' or 'scene'
+ * @param  {Number} offset   absolute index of the first track or scene
+ * @param  {Number} pageSize size of the bank
+ */
+function moveBankTo(song, bank, offset, pageSize) {
+  var amount = offset - targetOffset(song, bank);
+  if (!amount) {
+    return;
+  }
+  moveBank(song.bitwig, '/' + bank, amount, pageSize);
+  clearPendingOffset(song, bank);
+  song.pendingOffsets[bank] = {
+    offset: offset,
+    timer: setTimeout(function () {
+      song.pendingOffsets[bank] = null;
+    }, song.bitwig.confirmTimeout)
+  };
+}
+
+/**
+ * Forget the offset a bank is moving to
+ * @param  {Object} song Song
+ * @param  {String} bank 'track' or 'scene'
+ */
+function clearPendingOffset(song, bank) {
+  if (song.pendingOffsets[bank]) {
+    clearTimeout(song.pendingOffsets[bank].timer);
+    song.pendingOffsets[bank] = null;
+  }
+}
+
+/**
+ * Note a bank position reported by Bitwig, the move is done when the
+ * bank reaches its target, otherwise more reports are waited for
+ * @param  {Object} song   Song
+ * @param  {String} bank   'track' or 'scene'
+ * @param  {Number} offset reported offset
+ */
+function reportOffset(song, bank, offset) {
+  var pending = song.pendingOffsets[bank];
+  if (!pending) {
+    return;
+  }
+  if (offset == pending.offset) {
+    return clearPendingOffset(song, bank);
+  }
+  pending.timer.refresh();
+}
+
+/**
+ * Record a new track bank offset and remap the tracks
+ * Called when Bitwig reports the position of the track bank
+ * @param  {Number} offset absolute index of the first track in the bank
+ */
+Song.prototype.updateTrackOffset = function (offset) {
+  offset = Math.max(0, offset);
+  reportOffset(this, 'track', offset);
+  if (offset == this.trackOffset) {
+    return;
+  }
+  this.eventEmitter.emit('trackOffset', {
+    value: offset,
+    prev: this.trackOffset
+  });
+  this.trackOffset = offset;
+  _.each(this.tracks, function (track) {
+    track.setBankOffset(offset);
+  });
+};
+
+/**
+ * Scroll the scene bank by a number of scenes, negative values
+ * scroll backwards, stopping at the first scene
+ * @param  {Number} amount number of scenes to scroll by
+ */
+Song.prototype.scrollScenes = function (amount) {
+  this.setSceneOffset(Math.max(0, targetOffset(this, 'scene') + amount));
+};
+
+/**
+ * Scroll the scene bank forward by one page
+ */
+Song.prototype.nextScenePage = function () {
+  this.bitwig.transport.send('/scene/bank/+');
+};
+
+/**
+ * Scroll the scene bank backward by one page
+ */
+Song.prototype.prevScenePage = function () {
+  this.bitwig.transport.send('/scene/bank/-');
+};
+
+/**
+ * Move the scene bank so that its first scene is at the given
+ * absolute project index.  sceneOffset changes when Bitwig reports
+ * where the bank is, which is less than offset at the end of the project.
+ * @param {Number} offset absolute index of the first scene in the bank
+ */
+Song.prototype.setSceneOffset = function (offset) {
+  util.checkIndex('scene offset', offset, 0, Infinity);
+  moveBankTo(this, 'scene', offset, this.scenes.length);
+};
+
+/**
+ * Record a new scene bank offset and remap the clips of every track
+ * Called when Bitwig reports the position of the scene bank
+ * @param  {Number} offset absolute index of the first scene in the bank
+ */
+Song.prototype.updateSceneOffset = function (offset) {
+  offset = Math.max(0, offset);
+  reportOffset(this, 'scene', offset);
+  if (offset == this.sceneOffset) {
+    return;
+  }
+  this.eventEmitter.emit('sceneOffset', {
+    value: offset,
+    prev: this.sceneOffset
+  });
+  this.sceneOffset = offset;
+  _.each(this.tracks, function (track) {
+    track.setSceneOffset(offset);
+  });
+  _.each(this.scenes, function (scene) {
+    scene.setBankOffset(offset);
+  });
+};
+
+/**
+ * Take a snapshot of the mixer, transport and device state
+ * @return {Object} plain object that can be serialized as JSON
+ */
+Song.prototype.snapshot = function () {
+  return snapshot.take(this);
+};
+
+/**
+ * Restore a snapshot, only sending messages for values that differ
+ * from the current state.  Options are:
+ *
+ * opts.properties = properties to restore, default all of
+ *   volume, pan, mute, solo, recarm, sends, transport, device
+ * opts.tracks = project track numbers to restore, starting at 1,
+ *   default all
+ * opts.master = restore master volume and pan, default true
+ *
+ * @param  {Object} saved snapshot from Song.snapshot
+ * @param  {Object} opts  options
+ * @return {Promise} resolves when every message is sent, or confirmed
+ *                   if confirm is enabled
+ */
+Song.prototype.restore = function (saved, opts) {
+  return snapshot.restore(this, saved, opts);
+};
+
+/**
+ * Crossfade volumes, pans, sends and device parameters from the
+ * current state to a snapshot.  Options are:
+ *
+ * opts.duration = length of the morph in milliseconds
+ * opts.beats = length of the morph in beats, used instead of duration
+ * opts.curve = 'linear', 'easeIn', 'easeOut', 'easeInOut', 'sine' or
+ *   a function, default 'linear'
+ * opts.interval = time between steps in milliseconds, default 50
+ * opts.tracks = project track numbers to morph, starting at 1,
+ *   default all
+ * opts.master = morph master volume and pan, default true
+ *
+ * @param  {Object} target snapshot from Song.snapshot
+ * @param  {Object} opts   options
+ * @return {Morph} running morph, call cancel() to stop it
+ */
+Song.prototype.morph = function (target, opts) {
+  var self = this;
+  var morph = new Morph(this, target, opts);
+  this.morphs.push(morph);
+  morph.promise.then(function () {
+    self.morphs = _.without(self.morphs, morph);
+  });
+  return morph.start();
+};
+
+/**
+ * Check if the song has received the state of every track and scene in
+ * the banks and of the device
+ * @return {Boolean} true if every track, every scene and the device
+ *                   have a name
+ */
+Song.prototype.isPopulated = function () {
+  return _.every(this.tracks.concat(this.scenes, this.device), function (model) {
+    return !_.isUndefined(model.name);
+  });
+};
+
+/**
+ * Get the state of the song as a plain object, used by JSON.stringify
+ * @return {Object} song state with tracks, scenes and the device
+ */
+Song.prototype.toJSON = function () {
+  return _.extend(_.pick(this,
+    'volume', 'pan', 'click', 'playing', 'recording', 'overdub', 'looping',
+    'punchIn', 'punchOut', 'preroll', 'tempo', 'position', 'positionStr',
+    'numerator', 'denominator', 'currentScene', 'selectedTrack',
+    'trackOffset', 'sceneOffset'
+  ), {
+    tracks: _.invoke(this.tracks, 'toJSON'),
+    scenes: _.invoke(this.scenes, 'toJSON'),
+    device: this.device.toJSON()
+  });
+};
+
+/**
+ * Cancel running morphs, destroy all tracks and the device and remove
+ * all OSC and event listeners
+ * Called when OSC4Bitwig is closed
+ */
+Song.prototype.destroy = function () {
+  _.invoke(this.morphs, 'cancel');
+  this.morphs = [];
+  clearPendingOffset(this, 'track');
+  clearPendingOffset(this, 'scene');
+  _.each(this.tracks, function (track) {
+    track.destroy();
+  });
+  this.tracks = [];
+  _.each(this.scenes, function (scene) {
+    scene.destroy();
+  });
+  this.scenes = [];
+  this.device.destroy();
+  util.unlistenAll(this);
+  this.eventEmitter.emit('destroy', {});
+  this.eventEmitter.removeAllListeners();
 };
 
 /**
@@ -350,4 +1138,9 @@ Song.prototype.on = function (ev, cb) {
   this.eventEmitter.on(ev, cb);
 };
 
+/**
+ * off, once, waitFor and events, see events.methods
+ */
+_.extend(Song.prototype, events.methods);
+
 module.exports = Song;
@@ -0,0 +1,125 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+/**
+ * Musical time conversions.
+ *
+ * Positions are measured in beats (quarter notes), which is what
+ * Bitwig uses for /time.  Positions can also be written as
+ * bars.beats.ticks strings, ex '17.3.0' is the third beat of bar 17.
+ * Bars and beats start at 1, ticks start at 0 and there are
+ * TICKS_PER_BEAT ticks in a beat.  In bars.beats.ticks a beat is one
+ * unit of the time signature denominator, so in 6/8 a beat is an
+ * eighth note.
+ *
+ * The signature argument is anything with tempo, numerator and
+ * denominator properties, usually the Song.
+ */
+
+/**
+ * Number of ticks in one beat of bars.beats.ticks
+ * @type {Number}
+ */
+var TICKS_PER_BEAT = 960;
+
+exports.TICKS_PER_BEAT = TICKS_PER_BEAT;
+
+/**
+ * Length of one time signature beat in quarter notes
+ * @param  {Object} signature object with a denominator
+ * @return {Number} beat length
+ */
+function beatLength(signature) {
+  return 4 / (signature.denominator || 4);
+}
+
+/**
+ * Parse a bars.beats.ticks string
+ * @param  {String} str       position, ex '17.3.0' or '17.3'
+ * @param  {Object} signature object with numerator and denominator
+ * @return {Number} position in beats
+ */
+exports.parse = function (str, signature) {
+  var match = /^\s*(\d+)(?:\.(\d+))?(?:\.(\d+))?\s*$/.exec(str);
+  if (!match) {
+    throw new Error('invalid position ' + str + ', expected bars.beats.ticks');
+  }
+  var bars = parseInt(match[1], 10);
+  var beats = match[2] ? parseInt(match[2], 10) : 1;
+  var ticks = match[3] ? parseInt(match[3], 10) : 0;
+  var numerator = signature.numerator || 4;
+
+  if (bars < 1 || beats < 1 || beats > numerator || ticks >= TICKS_PER_BEAT) {
+    throw new RangeError('position ' + str + ' is out of range in ' +
+      numerator + '/' + (signature.denominator || 4));
+  }
+
+  var length = beatLength(signature);
+  return ((bars - 1) * numerator + (beats - 1) + ticks / TICKS_PER_BEAT) * length;
+};
+
+/**
+ * Format a position as a bars.beats.ticks string
+ * @param  {Number} position  position in beats
+ * @param  {Object} signature object with numerator and denominator
+ * @return {String} position, ex '17.3.0'
+ */
+exports.format = function (position, signature) {
+  var numerator = signature.numerator || 4;
+  var totalTicks = Math.round(position / beatLength(signature) * TICKS_PER_BEAT);
+  var totalBeats = Math.floor(totalTicks / TICKS_PER_BEAT);
+  var bars = Math.floor(totalBeats / numerator);
+
+  return (bars + 1) + '.' +
+    (totalBeats - bars * numerator + 1) + '.' +
+    (totalTicks - totalBeats * TICKS_PER_BEAT);
+};
+
+/**
+ * Convert beats to seconds at the current tempo
+ * @param  {Number} beats     number of beats
+ * @param  {Object} signature object with a tempo
+ * @return {Number} seconds
+ */
+exports.toSeconds = function (beats, signature) {
+  return beats * 60 / signature.tempo;
+};
+
+/**
+ * Convert seconds to beats at the current tempo
+ * @param  {Number} seconds   number of seconds
+ * @param  {Object} signature object with a tempo
+ * @return {Number} beats
+ */
+exports.fromSeconds = function (seconds, signature) {
+  return seconds * signature.tempo / 60;
+};
+
+/**
+ * Convert any supported position to beats, positions can be:
+ *
+ *   a number of beats
+ *     16.5
+ *   a bars.beats.ticks string
+ *     '5.1.480'
+ *   an object with seconds
+ *     {seconds: 12}
+ *
+ * @param  {Mixed}  position  position to convert
+ * @param  {Object} signature object with tempo, numerator and denominator
+ * @return {Number} position in beats
+ */
+exports.toBeats = function (position, signature) {
+  if (typeof position == 'number') {
+    return position;
+  }
+  if (typeof position == 'string') {
+    return exports.parse(position, signature);
+  }
+  if (position && typeof position.seconds == 'number') {
+    return exports.fromSeconds(position.seconds, signature);
+  }
+  throw new TypeError('invalid position ' + position);
+};
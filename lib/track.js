@@ -7,6 +7,8 @@ var _ = require('underscore');
 var EventEmitter = require('events').EventEmitter;
 
 var Clip = require('./clip');
+var util = require('./util');
+var events = require('./events');
 
 /**
  * Track object, represents an audio or midi track in the Ableton Live set.
@@ -28,12 +30,30 @@ var Track = function (bitwig, id) {
    */
   this.id = id;
 
+  /**
+   * Position of this track in the track bank, starting at 0
+   * @type {Number}
+   */
+  this.bankIndex = id - 1;
+
+  /**
+   * Absolute index of this track in the project, starting at 0
+   * @type {Number}
+   */
+  this.projectIndex = id - 1;
+
   /**
    * Clips in this track
    * @type {Array}
    */
   this.clips = [];
 
+  /**
+   * The clip currently playing on this track, null if none
+   * @type {Clip}
+   */
+  this.playingClip = null;
+
   /**
    * Track send levels
    * ex [{id: 0, value: 127}]
@@ -41,6 +61,12 @@ var Track = function (bitwig, id) {
    */
   this.sends = [];
 
+  /**
+   * Number of scenes in the scene bank
+   * @type {Number}
+   */
+  this.numScenes = bitwig.numScenes;
+
   /**
    * Devices in this track
    * @type {Array}
@@ -83,6 +109,18 @@ var Track = function (bitwig, id) {
    */
   this.selected = 0;
 
+  /**
+   * If this track exists in the project
+   * @type {Boolean}
+   */
+  this.exists = false;
+
+  /**
+   * OSC listeners registered by this track
+   * @type {Array}
+   */
+  this.oscListeners = [];
+
   /**
    * EventEmitter for track events
    * @type {EventEmitter}
@@ -91,26 +129,6 @@ var Track = function (bitwig, id) {
 
   var self = this;
 
-  /**
-   * Listen for /track/#/send
-   */
-  function sendListener() {
-    var trackId = arguments[0];
-    if (trackId != id) {
-      return;
-    }
-    for (var i = 1; i < Object.keys(arguments).length; i += 2) {
-      var sendNum = arguments[i];
-      var sendVal = arguments[i+1];
-      self.emitEvent('send', {
-        num: sendNum,
-        value: sendVal,
-        prev: self.sends[sendNum]
-      });
-      self.sends[sendNum] = sendVal;
-    }
-  }
-
   /**
    * Listen for /track/#/solo
    * @param  {Number} solo    0 or 1
@@ -154,6 +172,7 @@ var Track = function (bitwig, id) {
   function volumeListener(volume) {
     self.emitEvent('volume', {
       value: volume,
+      normalized: bitwig.scale.fromRaw(volume),
       prev: self.volume
     });
     self.volume = volume;
@@ -166,6 +185,7 @@ var Track = function (bitwig, id) {
   function panListener(pan) {
     self.emitEvent('pan', {
       value: pan,
+      normalized: bitwig.scale.fromRaw(pan),
       prev: self.pan
     });
     self.pan = pan;
@@ -218,7 +238,8 @@ var Track = function (bitwig, id) {
     self.emitEvent('sendVolume', {
       num: i,
       value: volume,
-      prev: self.volume
+      normalized: bitwig.scale.fromRaw(volume),
+      prev: self.sends[i].volume
     });
     self.sends[i].volume = volume;
   }
@@ -235,29 +256,52 @@ var Track = function (bitwig, id) {
     self.selected = selected;
   }
 
-  // bitwig.receiver.on('/track/#/send', sendListener);
-  bitwig.receiver.on('/track/' + self.id + '/solo', soloListener);
-  bitwig.receiver.on('/track/' + self.id + '/recarm', recarmListener);
-  bitwig.receiver.on('/track/' + self.id + '/mute', muteListener);
-  bitwig.receiver.on('/track/' + self.id + '/pan', panListener);
-  bitwig.receiver.on('/track/' + self.id + '/volume', volumeListener);
-  bitwig.receiver.on('/track/' + self.id + '/vu', vuListener);
-  bitwig.receiver.on('/track/' + self.id + '/selected', selectedListener);
+  /**
+   * Listen for /track/#/exists
+   * @param  {Boolean} exists if the track exists
+   */
+  function existsListener(exists) {
+    self.emitEvent('exists', {
+      value: exists,
+      prev: self.exists
+    });
+    self.exists = exists;
+  }
+
+  /**
+   * Listen for /track/#/position, the project position Bitwig reports
+   * gives the real track bank offset
+   * @param  {Number} position project index of the track
+   */
+  function positionListener(position) {
+    self.bitwig.song.updateTrackOffset(position - self.bankIndex);
+  }
 
-  _.each(_.range(6), function (i) {
+  util.listen(self, '/track/' + self.id + '/name', nameListener);
+  util.listen(self, '/track/' + self.id + '/position', positionListener);
+  util.listen(self, '/track/' + self.id + '/exists', existsListener);
+  util.listen(self, '/track/' + self.id + '/solo', soloListener);
+  util.listen(self, '/track/' + self.id + '/recarm', recarmListener);
+  util.listen(self, '/track/' + self.id + '/mute', muteListener);
+  util.listen(self, '/track/' + self.id + '/pan', panListener);
+  util.listen(self, '/track/' + self.id + '/volume', volumeListener);
+  util.listen(self, '/track/' + self.id + '/vu', vuListener);
+  util.listen(self, '/track/' + self.id + '/selected', selectedListener);
+
+  _.each(_.range(bitwig.numSends), function (i) {
     self.sends[i] = {
       name: '',
       volume: 0
     };
-    bitwig.receiver.on('/track/' + self.id + '/send/' + i + '/name', function (name) {
+    util.listen(self, '/track/' + self.id + '/send/' + i + '/name', function (name) {
       sendNameListener(i, name);
     });
-    bitwig.receiver.on('/track/' + self.id + '/send/' + i + '/volume', function (volume) {
+    util.listen(self, '/track/' + self.id + '/send/' + i + '/volume', function (volume) {
       sendVolumeListener(i, volume);
     });
   });
 
-  _.each(_.range(8), function(i) {
+  _.each(_.range(self.numScenes), function(i) {
     self.clips[i] = new Clip(self.bitwig, self, i);
   });
 };
@@ -265,13 +309,18 @@ var Track = function (bitwig, id) {
 /**
  * Set the name of the track
  * @param {String} name the new track name
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
 Track.prototype.setName = function (name) {
-  this.bitwig.emitter.emit(
+  return this.bitwig.send(
     '/track/' + this.id + '/name',
     {
       type: 'string',
       value: name
+    },
+    {
+      value: name,
+      current: this.name
     }
   );
 };
@@ -279,13 +328,19 @@ Track.prototype.setName = function (name) {
 /**
  * Set the track recarm state
  * @param {Number} arm 0 or 1
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
 Track.prototype.setRecarm = function (recarm) {
-  this.bitwig.emitter.emit(
+  return this.bitwig.send(
     '/track/' + this.id + '/arm',
     {
       type: 'integer',
       value: recarm
+    },
+    {
+      address: '/track/' + this.id + '/recarm',
+      value: recarm,
+      current: this.recarm
     }
   );
 };
@@ -293,13 +348,18 @@ Track.prototype.setRecarm = function (recarm) {
 /**
  * Set the track solo state
  * @param {Number} solo 0 or 1
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
 Track.prototype.setSolo = function (solo) {
-  this.bitwig.emitter.emit(
+  return this.bitwig.send(
     '/track/' + this.id + '/solo',
     {
       type: 'integer',
       value: solo
+    },
+    {
+      value: solo,
+      current: this.solo
     }
   );
 };
@@ -307,56 +367,80 @@ Track.prototype.setSolo = function (solo) {
 /**
  * Set the track mute state
  * @param {Number} mute 0 or 1
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
 Track.prototype.setMute = function (mute) {
-  this.bitwig.emitter.emit(
+  return this.bitwig.send(
     '/track/' + this.id + '/mute',
     {
       type: 'integer',
       value: mute
+    },
+    {
+      value: mute,
+      current: this.mute
     }
   );
 };
 
 /**
  * Set the track volume
- * @param {Number} volume 0 - 127
+ * @param {Mixed} volume new volume, see Scale for accepted values
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
 Track.prototype.setVolume = function (volume) {
-  this.bitwig.emitter.emit(
-    '/track/' + this.id + '/volume',
-    {
-      type: 'integer',
-      value: volume
-    }
-  );
+  var arg = this.bitwig.scale.toOsc(volume);
+  return this.bitwig.send('/track/' + this.id + '/volume', arg, {
+    value: arg.value,
+    current: this.volume
+  });
 };
 
 /**
  * Set the track panning
- * @param {Number} pan 0 - 127
+ * @param {Mixed} pan new panning, center is half of the range
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
 Track.prototype.setPan = function (pan) {
-  this.bitwig.emitter.emit(
-    '/track/' + this.id + '/pan',
-    {
-      type: 'float',
-      value: pan
-    }
-  );
+  var arg = this.bitwig.scale.toOsc(pan);
+  return this.bitwig.send('/track/' + this.id + '/pan', arg, {
+    value: arg.value,
+    current: this.pan
+  });
+};
+
+/**
+ * Set track send volume
+ * @param {Number} send   send id
+ * @param {Mixed}  volume new send volume, see Scale for accepted values
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
+ */
+Track.prototype.setSendVolume = function (send, volume) {
+  util.checkIndex('send', send, 0, this.sends.length - 1);
+  var arg = this.bitwig.scale.toOsc(volume);
+  return this.bitwig.send('/track/' + this.id + '/send/' + send + '/volume', arg, {
+    value: arg.value,
+    current: this.sends[send].volume
+  });
 };
 
 /**
  * Set track send name
  * @param {Number} send send id
  * @param {String} val  new send name
+ * @return {Promise} resolves when Bitwig confirms, if confirm is enabled
  */
 Track.prototype.setSendName = function (send, name) {
-  this.bitwig.emitter.emit(
+  util.checkIndex('send', send, 0, this.sends.length - 1);
+  return this.bitwig.send(
     '/track/' + this.id + '/send/' + send + '/name',
     {
       type: 'string',
       value: name
+    },
+    {
+      value: name,
+      current: this.sends[send].name
     }
   );
 };
@@ -370,6 +454,60 @@ Track.prototype.setNumScenes = function (numScenes) {
   this.numScenes = numScenes;
 };
 
+/**
+ * Stop all clips on the track
+ */
+Track.prototype.stopClips = function () {
+  this.bitwig.transport.send('/track/' + this.id + '/clip/stop');
+};
+
+/**
+ * Update playingClip from the isPlaying state of the clips and emit
+ * a playingClip event with the clip id (null if none) when it changes
+ * Called by Clip
+ */
+Track.prototype.updatePlayingClip = function () {
+  var playingClip = _.find(this.clips, function (clip) {
+    return !!clip.isPlaying;
+  }) || null;
+  if (playingClip === this.playingClip) {
+    return;
+  }
+  this.emitEvent('playingClip', {
+    value: playingClip ? playingClip.id : null,
+    prev: this.playingClip ? this.playingClip.id : null
+  });
+  this.playingClip = playingClip;
+};
+
+/**
+ * Set the track bank offset, remapping this track to other content
+ * Called by Song
+ * @param {Number} offset absolute index of the first track in the bank
+ */
+Track.prototype.setBankOffset = function (offset) {
+  var projectIndex = offset + this.bankIndex;
+  if (projectIndex == this.projectIndex) {
+    return;
+  }
+  this.emitEvent('remap', {
+    value: projectIndex,
+    prev: this.projectIndex
+  });
+  this.projectIndex = projectIndex;
+};
+
+/**
+ * Set the scene bank offset, remapping the clips of this track
+ * Called by Song
+ * @param {Number} offset absolute index of the first scene in the bank
+ */
+Track.prototype.setSceneOffset = function (offset) {
+  _.each(this.clips, function (clip) {
+    clip.setBankOffset(offset);
+  });
+};
+
 /**
  * Refresh the state of all clips in the track
  */
@@ -381,7 +519,7 @@ Track.prototype.refreshClips = function () {
 
   for (var i = 0; i < this.numScenes; i++) {
     this.clips[i] = new Clip(this.bitwig, this, i);
-    this.bitwig.emitter.emit(
+    this.bitwig.transport.send(
       '/track/#/clip/info',
       {
         type: 'integer',
@@ -399,7 +537,7 @@ Track.prototype.refreshClips = function () {
  * Focus the track
  */
 Track.prototype.view = function () {
-  this.bitwig.emitter.emit(
+  this.bitwig.transport.send(
     '/track/#/track/view',
     {
       type: 'integer',
@@ -408,6 +546,35 @@ Track.prototype.view = function () {
   );
 };
 
+/**
+ * Get the state of the track as a plain object, used by JSON.stringify
+ * @return {Object} track state with clips
+ */
+Track.prototype.toJSON = function () {
+  return _.extend(_.pick(this,
+    'id', 'bankIndex', 'projectIndex', 'name', 'solo', 'mute', 'recarm',
+    'volume', 'pan', 'selected', 'vu', 'exists'
+  ), {
+    playingClip: this.playingClip ? this.playingClip.id : null,
+    sends: _.map(this.sends, _.clone),
+    clips: _.invoke(this.clips, 'toJSON')
+  });
+};
+
+/**
+ * Destroy all clips and remove all OSC and event listeners
+ * Called when the song is destroyed
+ */
+Track.prototype.destroy = function () {
+  _.each(this.clips, function (clip) {
+    clip.destroy();
+  });
+  this.clips = [];
+  util.unlistenAll(this);
+  this.emitEvent('destroy', {});
+  this.eventEmitter.removeAllListeners();
+};
+
 /**
  * Listen for a track event, current events are:
  *
@@ -418,6 +585,11 @@ Track.prototype.on = function (ev, cb) {
   this.eventEmitter.on(ev, cb);
 };
 
+/**
+ * off, once, waitFor and events, see events.methods
+ */
+_.extend(Track.prototype, events.methods);
+
 /**
  * Emit a track event
  * @param  {String} ev     event name
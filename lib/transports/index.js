@@ -0,0 +1,42 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var Transport = require('./transport');
+var UdpTransport = require('./udp');
+var TcpTransport = require('./tcp');
+var LoopbackTransport = require('./loopback');
+
+/**
+ * Transports that can be selected by name
+ * @type {Object}
+ */
+var TRANSPORTS = {
+  udp: UdpTransport,
+  tcp: TcpTransport
+};
+
+/**
+ * Create a transport by name, or use a transport that was already
+ * created
+ * @param  {Mixed}  transport name in TRANSPORTS or a Transport, default 'udp'
+ * @param  {Object} opts      options for the transport constructor
+ * @return {Transport} the transport
+ */
+exports.create = function (transport, opts) {
+  if (transport instanceof Transport) {
+    return transport;
+  }
+  var Constructor = TRANSPORTS[transport || 'udp'];
+  if (!Constructor) {
+    throw new Error('unknown transport ' + transport + ', expected one of ' +
+      Object.keys(TRANSPORTS).join(', ') + ' or a Transport');
+  }
+  return new Constructor(opts);
+};
+
+exports.Transport = Transport;
+exports.UdpTransport = UdpTransport;
+exports.TcpTransport = TcpTransport;
+exports.LoopbackTransport = LoopbackTransport;
@@ -0,0 +1,81 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+var Transport = require('./transport');
+var argValues = require('../util').argValues;
+
+/**
+ * LoopbackTransport, an in-memory transport for tests.  Messages sent on
+ * one end are received by its peer on the next tick, no sockets are
+ * opened.  Create connected ends with LoopbackTransport.pair().
+ *
+ * @constructor
+ */
+var LoopbackTransport = function () {
+  Transport.call(this);
+
+  /**
+   * The transport on the other end
+   * @type {LoopbackTransport}
+   */
+  this.peer = null;
+
+  /**
+   * If the transport has been closed
+   * @type {Boolean}
+   */
+  this.closed = false;
+};
+
+util.inherits(LoopbackTransport, Transport);
+
+/**
+ * Create two connected transports, ex one for OSC4Bitwig and one for
+ * the simulator
+ * @return {Array} [a, b]
+ */
+LoopbackTransport.pair = function () {
+  var a = new LoopbackTransport();
+  var b = new LoopbackTransport();
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+};
+
+/**
+ * Send a message to the peer
+ * @param  {String} address OSC address
+ */
+LoopbackTransport.prototype.send = function (address) {
+  var peer = this.peer;
+  var sent = Array.prototype.slice.call(arguments, 1);
+  // argument objects are unwrapped like they would be by OSC
+  var args = argValues(sent);
+
+  if (this.closed) {
+    return;
+  }
+  this.sent(address, sent);
+  if (!peer) {
+    return;
+  }
+  process.nextTick(function () {
+    if (!peer.closed) {
+      peer.receive(address, args);
+    }
+  });
+};
+
+/**
+ * Disconnect from the peer
+ * @return {Promise} resolves when closed
+ */
+LoopbackTransport.prototype.close = function () {
+  this.closed = true;
+  return Transport.prototype.close.call(this);
+};
+
+module.exports = LoopbackTransport;
@@ -0,0 +1,288 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+var net = require('net');
+var Transport = require('./transport');
+
+/**
+ * SLIP special bytes
+ * @type {Number}
+ */
+var END = 0xc0;
+var ESC = 0xdb;
+var ESC_END = 0xdc;
+var ESC_ESC = 0xdd;
+
+/**
+ * TcpTransport, sends and receives OSC packets over TCP, framed with
+ * SLIP as in OSC 1.1.  Streams have no packet size limit, so large state
+ * dumps don't get cut off like they can over UDP.
+ *
+ * By default it connects to remoteHost:remotePort.  With opts.server it
+ * listens on opts.port instead and talks to every client that connects,
+ * which is what the simulator uses.
+ *
+ * Options are as follows:
+ *
+ * opts.remoteHost = host to connect to
+ * opts.remotePort = port to connect to
+ * opts.server = listen for connections instead of connecting
+ * opts.port = port to listen on when opts.server is set
+ * opts.reconnectTime = time to wait before reconnecting after the
+ *   connection is lost, default 1000, 0 to not reconnect
+ *
+ * While it reconnects, failed and lost connections emit a disconnect
+ * event with the error instead of an error event, and a reconnect event
+ * is emitted once it is connected again.  Without reconnecting, socket
+ * errors are emitted as error events.
+ *
+ * @constructor
+ * @param {Object} opts options
+ */
+var TcpTransport = function (opts) {
+  Transport.call(this);
+
+  this.remoteHost = opts.remoteHost;
+  this.remotePort = opts.remotePort;
+  this.port = opts.port;
+  this.reconnectTime = typeof opts.reconnectTime == 'number' ? opts.reconnectTime : 1000;
+
+  /**
+   * Open connections
+   * @type {Array}
+   */
+  this.sockets = [];
+
+  /**
+   * Socket that is connecting, null once it is connected
+   * @type {Object}
+   */
+  this.connecting = null;
+
+  /**
+   * Packets sent before a connection was open
+   * @type {Array}
+   */
+  this.pending = [];
+
+  /**
+   * If the transport has been closed
+   * @type {Boolean}
+   */
+  this.closed = false;
+
+  /**
+   * Connection attempts since the connection was lost, 0 while connected
+   * @type {Number}
+   */
+  this.attempts = 0;
+
+  var self = this;
+
+  if (opts.server) {
+    this.server = net.createServer(function (socket) {
+      self.attach(socket);
+    });
+    this.server.on('error', function (err) {
+      self.emit('error', err);
+    });
+    this.server.listen(this.port);
+  } else {
+    this.connect();
+  }
+};
+
+util.inherits(TcpTransport, Transport);
+
+/**
+ * SLIP encode a packet, with END bytes on both sides
+ * @param  {Buffer} packet OSC packet
+ * @return {Buffer} SLIP frame
+ */
+TcpTransport.encodeSlip = function (packet) {
+  var bytes = [END];
+  for (var i = 0; i < packet.length; i++) {
+    if (packet[i] == END) {
+      bytes.push(ESC, ESC_END);
+    } else if (packet[i] == ESC) {
+      bytes.push(ESC, ESC_ESC);
+    } else {
+      bytes.push(packet[i]);
+    }
+  }
+  bytes.push(END);
+  return Buffer.from(bytes);
+};
+
+/**
+ * Create a SLIP decoder that calls back with every complete packet
+ * @param  {Function} cb called with each packet
+ * @return {Function} call with each chunk of data
+ */
+TcpTransport.slipDecoder = function (cb) {
+  var bytes = [];
+  var escaped = false;
+
+  return function (chunk) {
+    for (var i = 0; i < chunk.length; i++) {
+      var byte = chunk[i];
+      if (escaped) {
+        bytes.push(byte == ESC_END ? END : byte == ESC_ESC ? ESC : byte);
+        escaped = false;
+      } else if (byte == ESC) {
+        escaped = true;
+      } else if (byte == END) {
+        if (bytes.length) {
+          cb(Buffer.from(bytes));
+          bytes = [];
+        }
+      } else {
+        bytes.push(byte);
+      }
+    }
+  };
+};
+
+/**
+ * Connect to remoteHost:remotePort
+ */
+TcpTransport.prototype.connect = function () {
+  var self = this;
+  var socket = net.connect(this.remotePort, this.remoteHost);
+  var error = null;
+
+  this.connecting = socket;
+
+  socket.on('connect', function () {
+    self.connecting = null;
+    if (self.closed) {
+      return socket.destroy();
+    }
+    if (self.attempts) {
+      self.emit('reconnect', {
+        attempts: self.attempts
+      });
+      self.attempts = 0;
+    }
+    self.attach(socket);
+    self.pending.splice(0).forEach(function (frame) {
+      socket.write(frame);
+    });
+  });
+  socket.on('error', function (err) {
+    if (self.closed) {
+      return;
+    }
+    // close always follows, which reports it when reconnecting
+    if (self.reconnectTime) {
+      error = err;
+      return;
+    }
+    self.emit('error', err);
+  });
+  socket.on('close', function () {
+    if (self.connecting === socket) {
+      self.connecting = null;
+    }
+    if (self.closed || !self.reconnectTime) {
+      return;
+    }
+    self.attempts++;
+    self.emit('disconnect', {
+      error: error,
+      attempts: self.attempts,
+      reconnectTime: self.reconnectTime
+    });
+    self.reconnectTimer = setTimeout(function () {
+      self.connect();
+    }, self.reconnectTime);
+  });
+};
+
+/**
+ * Start reading packets from a connected socket
+ * @param  {Object} socket net socket
+ */
+TcpTransport.prototype.attach = function (socket) {
+  var self = this;
+  var decode = TcpTransport.slipDecoder(function (packet) {
+    self.receiveBuffer(packet);
+  });
+
+  this.sockets.push(socket);
+  socket.on('data', decode);
+  socket.on('close', function () {
+    self.sockets = self.sockets.filter(function (s) {
+      return s !== socket;
+    });
+  });
+  if (this.server) {
+    socket.on('error', function (err) {
+      self.emit('error', err);
+    });
+  }
+  this.emit('connect', socket);
+};
+
+/**
+ * Send a message, messages sent before the connection is open are
+ * sent once it is, messages sent after close are dropped
+ * @param  {String} address OSC address
+ */
+TcpTransport.prototype.send = function (address) {
+  if (this.closed) {
+    return;
+  }
+  var args = Array.prototype.slice.call(arguments, 1);
+  var frame = TcpTransport.encodeSlip(this.encode(address, args));
+
+  this.sent(address, args);
+
+  if (!this.sockets.length) {
+    if (!this.server) {
+      this.pending.push(frame);
+    }
+    return;
+  }
+  this.sockets.forEach(function (socket) {
+    socket.write(frame);
+  });
+};
+
+/**
+ * Close all connections and the server
+ * @return {Promise} resolves when closed
+ */
+TcpTransport.prototype.close = function () {
+  var self = this;
+  this.closed = true;
+  clearTimeout(this.reconnectTimer);
+  this.removeAllListeners();
+
+  if (this.connecting) {
+    this.connecting.destroy();
+    this.connecting = null;
+  }
+
+  var closing = this.sockets.map(function (socket) {
+    return new Promise(function (resolve) {
+      socket.once('close', resolve);
+      socket.destroy();
+    });
+  });
+
+  if (this.server) {
+    closing.push(new Promise(function (resolve) {
+      self.server.close(function () {
+        resolve();
+      });
+    }));
+  }
+
+  return Promise.all(closing);
+};
+
+module.exports = TcpTransport;
@@ -0,0 +1,114 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var osc = require('osc-min');
+
+/**
+ * Transport, the base of every transport.  A transport carries OSC
+ * messages between OSC4Bitwig and Bitwig, Song, Track, Clip and the
+ * other models only talk to Bitwig through it.
+ *
+ * Transports implement:
+ *
+ *   send(address, arg1, arg2, ...)
+ *     send a message, arguments are values or {type, value} objects
+ *   close()
+ *     stop the transport, returns a promise
+ *
+ * and emit incoming messages the same way osc-receiver does:
+ *
+ *   'message' (address, arg1, arg2, ...)
+ *     for every message
+ *   'send' (address, arg1, arg2, ...)
+ *     for every message sent, call sent() from send()
+ *   address (arg1, arg2, ...)
+ *     for messages to that address, ex '/track/1/volume'
+ *   'error' (err)
+ *
+ * @constructor
+ */
+var Transport = function () {
+  EventEmitter.call(this);
+  this.setMaxListeners(0);
+};
+
+util.inherits(Transport, EventEmitter);
+
+/**
+ * Send a message
+ * @param  {String} address OSC address
+ */
+Transport.prototype.send = function () {
+  throw new Error('send is not implemented by this transport');
+};
+
+/**
+ * Emit a send event for a message being sent
+ * @param  {String} address OSC address
+ * @param  {Array}  args    arguments
+ */
+Transport.prototype.sent = function (address, args) {
+  this.emit.apply(this, ['send', address].concat(args));
+};
+
+/**
+ * Stop the transport
+ * @return {Promise} resolves when closed
+ */
+Transport.prototype.close = function () {
+  this.removeAllListeners();
+  return Promise.resolve();
+};
+
+/**
+ * Emit an incoming message to listeners
+ * @param  {String} address OSC address
+ * @param  {Array}  args    argument values
+ */
+Transport.prototype.receive = function (address, args) {
+  this.emit.apply(this, ['message', address].concat(args));
+  if (this.listenerCount(address)) {
+    this.emit.apply(this, [address].concat(args));
+  }
+};
+
+/**
+ * Encode a message as an OSC packet
+ * @param  {String} address OSC address
+ * @param  {Array}  args    arguments
+ * @return {Buffer} OSC packet
+ */
+Transport.prototype.encode = function (address, args) {
+  return osc.toBuffer({
+    address: address,
+    args: args
+  });
+};
+
+/**
+ * Decode an OSC packet and emit the messages in it
+ * @param  {Buffer} buffer OSC packet
+ */
+Transport.prototype.receiveBuffer = function (buffer) {
+  var packet;
+  var self = this;
+
+  try {
+    packet = osc.fromBuffer(buffer);
+  } catch (err) {
+    return this.emit('error', err);
+  }
+
+  var elements = packet.oscType == 'bundle' ? packet.elements : [packet];
+  elements.forEach(function (el) {
+    self.receive(el.address, el.args.map(function (arg) {
+      return arg.value;
+    }));
+  });
+};
+
+module.exports = Transport;
@@ -0,0 +1,95 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var util = require('util');
+var OscReceiver = require('osc-receiver');
+var OscEmitter = require('osc-emitter');
+var Transport = require('./transport');
+
+/**
+ * UdpTransport, sends and receives OSC packets over UDP.  This is what
+ * OSC4Bitwig uses and is the default transport.
+ *
+ * Options are as follows:
+ *
+ * opts.port = port to listen on
+ * opts.remoteHost = host to send to
+ * opts.remotePort = port to send to
+ *
+ * @constructor
+ * @param {Object} opts options
+ */
+var UdpTransport = function (opts) {
+  Transport.call(this);
+
+  this.port = opts.port;
+  this.remoteHost = opts.remoteHost;
+  this.remotePort = opts.remotePort;
+
+  /**
+   * If the transport has been closed
+   * @type {Boolean}
+   */
+  this.closed = false;
+
+  var self = this;
+
+  this.emitter = new OscEmitter();
+  this.emitter.add(this.remoteHost, this.remotePort);
+
+  this.receiver = new OscReceiver();
+  this.receiver.bind(this.port);
+  this.receiver.on('message', function (address) {
+    self.receive(address, Array.prototype.slice.call(arguments, 1));
+  });
+  this.receiver.on('error', function (err) {
+    self.emit('error', err);
+  });
+};
+
+util.inherits(UdpTransport, Transport);
+
+/**
+ * Send a message, messages sent after close are dropped
+ * @param  {String} address OSC address
+ */
+UdpTransport.prototype.send = function (address) {
+  if (this.closed) {
+    return;
+  }
+  this.emitter.emit.apply(this.emitter, arguments);
+  this.sent(address, Array.prototype.slice.call(arguments, 1));
+};
+
+/**
+ * Close the sockets
+ * @return {Promise} resolves when closed
+ */
+UdpTransport.prototype.close = function () {
+  this.closed = true;
+  this.removeAllListeners();
+  this.receiver.removeAllListeners();
+  return Promise.all([
+    closeSocket(this.receiver._socket),
+    closeSocket(this.emitter._socket)
+  ]);
+};
+
+/**
+ * Close a UDP socket, ignoring sockets that are already closed
+ * @param  {Object}  socket dgram socket
+ * @return {Promise} resolves when the socket is closed
+ */
+function closeSocket(socket) {
+  return new Promise(function (resolve) {
+    try {
+      socket.close(resolve);
+    } catch (err) {
+      resolve();
+    }
+  });
+}
+
+module.exports = UdpTransport;
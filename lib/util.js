@@ -0,0 +1,193 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Throw a RangeError if an index is not an integer between
+ * min and max (inclusive)
+ * @param  {String} name  name of the index, used in the error message
+ * @param  {Number} index index to check
+ * @param  {Number} min   lowest valid index
+ * @param  {Number} max   highest valid index
+ */
+exports.checkIndex = function (name, index, min, max) {
+  if (index !== Math.floor(index) || index < min || index > max) {
+    throw new RangeError(
+      name + ' must be an integer between ' + min + ' and ' + max +
+      ', got ' + index
+    );
+  }
+};
+
+/**
+ * Watch a file for changes.  The directory is watched instead of the
+ * file, because editors that save by writing a new file and renaming it
+ * over the old one would end a watch on the file itself.
+ * @param  {String}   file     path of the file
+ * @param  {Function} listener called when the file changes
+ * @return {Object} fs.FSWatcher, call close() to stop watching
+ */
+exports.watchFile = function (file, listener) {
+  var name = path.basename(file);
+  return fs.watch(path.dirname(path.resolve(file)), function (ev, filename) {
+    // filename isn't reported on every platform
+    if (!filename || filename == name) {
+      listener();
+    }
+  });
+};
+
+/**
+ * Unwrap OSC argument objects like {type: 'integer', value: 1} to
+ * their value, the way they arrive from Bitwig
+ * @param  {Array} args arguments
+ * @return {Array} argument values
+ */
+exports.argValues = function (args) {
+  return args.map(function (arg) {
+    return arg !== null && typeof arg == 'object' ? arg.value : arg;
+  });
+};
+
+/**
+ * Listen for an OSC address on behalf of a model object, the listener
+ * is added to the router and remembered so it can be removed with
+ * unlistenAll
+ * @param  {Object}   model    Song, Track, Clip or Device
+ * @param  {String}   address  OSC address to listen for
+ * @param  {Function} listener callback
+ */
+exports.listen = function (model, address, listener) {
+  model.bitwig.router.add(address, listener);
+  model.oscListeners.push({
+    address: address,
+    listener: listener
+  });
+};
+
+/**
+ * Remove every OSC listener a model object registered with listen
+ * @param  {Object} model Song, Track, Clip or Device
+ */
+exports.unlistenAll = function (model) {
+  model.oscListeners.forEach(function (osc) {
+    model.bitwig.router.remove(osc.address, osc.listener);
+  });
+  model.oscListeners = [];
+};
+
+/**
+ * Listen for an event on behalf of an object, the listener is
+ * remembered so it can be removed with unlistenEvents
+ * @param  {Object}   owner    object with an eventListeners array
+ * @param  {Object}   emitter  EventEmitter
+ * @param  {String}   ev       event name
+ * @param  {Function} listener callback
+ */
+exports.listenEvent = function (owner, emitter, ev, listener) {
+  emitter.on(ev, listener);
+  owner.eventListeners.push({
+    emitter: emitter,
+    ev: ev,
+    listener: listener
+  });
+};
+
+/**
+ * Remove every event listener an object registered with listenEvent
+ * @param  {Object} owner object with an eventListeners array
+ */
+exports.unlistenEvents = function (owner) {
+  owner.eventListeners.forEach(function (l) {
+    l.emitter.removeListener(l.ev, l.listener);
+  });
+  owner.eventListeners = [];
+};
+
+/**
+ * Escape a string for use in a RegExp
+ * @param  {String} str string
+ * @return {String} escaped string
+ */
+function escapeRegExp(str) {
+  return str.replace(/[\\^$.|?*+()[\]{}]/g, '\\$&');
+}
+
+/**
+ * Compile an OSC address pattern to a RegExp.  Patterns match like in
+ * OSC 1.0:
+ *
+ *   ?       any one character except /
+ *   *       any characters except /
+ *   [abc]   one of a, b or c, ranges like [1-4] are allowed
+ *   [!abc]  any one character except /, a, b or c
+ *   {a,b}   either a or b
+ *
+ * @param  {String} pattern OSC address pattern, ex '/track/{1,2}/mute'
+ * @return {RegExp} matches addresses
+ */
+exports.addressPattern = function (pattern) {
+  var regex = '';
+  var end;
+
+  for (var i = 0; i < pattern.length; i++) {
+    var c = pattern[i];
+    if (c == '*') {
+      regex += '[^/]*';
+    } else if (c == '?') {
+      regex += '[^/]';
+    } else if (c == '[' || c == '{') {
+      end = pattern.indexOf(c == '[' ? ']' : '}', i + 1);
+      if (end == -1) {
+        throw new Error('unclosed ' + c + ' in address pattern ' + pattern);
+      }
+      var inner = pattern.slice(i + 1, end);
+      if (c == '{') {
+        regex += '(?:' + inner.split(',').map(escapeRegExp).join('|') + ')';
+      } else if (inner[0] == '!') {
+        regex += '[^/' + inner.slice(1).replace(/[\\\]^]/g, '\\$&') + ']';
+      } else {
+        regex += '[' + inner.replace(/[\\\]^]/g, '\\$&') + ']';
+      }
+      i = end;
+    } else {
+      regex += escapeRegExp(c);
+    }
+  }
+
+  return new RegExp('^' + regex + '$');
+};
+
+/**
+ * Turn an address filter into a function that tests an address.  A
+ * filter is an OSC address pattern, see addressPattern, a RegExp, a
+ * function(address) or a list of these, which matches if any of them do.
+ * @param  {Mixed}    filter filter
+ * @return {Function} test(address), true if the address matches
+ */
+exports.addressFilter = function (filter) {
+  if (Array.isArray(filter)) {
+    var tests = filter.map(exports.addressFilter);
+    return function (address) {
+      return tests.some(function (test) {
+        return test(address);
+      });
+    };
+  }
+  if (typeof filter == 'function') {
+    return filter;
+  }
+  if (filter instanceof RegExp) {
+    return function (address) {
+      return filter.test(address);
+    };
+  }
+  var regex = exports.addressPattern(String(filter));
+  return function (address) {
+    return regex.test(address);
+  };
+};
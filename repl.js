@@ -1,10 +1,11 @@
 var repl = require('repl');
 
 var OSC4Bitwig = require('./index');
-var bitwig = new OSC4Bitwig({debug: true});
+var bitwig = new OSC4Bitwig({debug: true, logger: {exclude: '/track/*/vu'}});
 
 var server = repl.start({
   prompt: 'OSC4Bitwig> '
 });
 
+server.context.bitwig = bitwig;
 server.context.song = bitwig.song;
@@ -0,0 +1,12 @@
+var Simulator = require('./lib/simulator');
+
+var sim = new Simulator({
+  port: parseInt(process.argv[2], 10) || 8099,
+  clientPort: parseInt(process.argv[3], 10) || 9099
+});
+
+sim.on('command', function (address, args) {
+  console.log('Command: ' + [address].concat(args).join(', '));
+});
+
+console.log('OSC4Bitwig simulator listening on ' + sim.port);
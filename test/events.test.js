@@ -0,0 +1,85 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var OSC4Bitwig = require('../index');
+var helpers = require('./helpers');
+
+test('off removes a listener and once only fires once', function () {
+  return helpers.connect().then(function (ctx) {
+    var track = ctx.song.tracks[0];
+    var on = [];
+    var once = [];
+    function listener(ev) {
+      on.push(ev.value);
+    }
+    track.on('mute', listener);
+    track.once('mute', function (ev) {
+      once.push(ev.value);
+    });
+    ctx.sim.setTrack(1, {mute: 1});
+    return helpers.settle(ctx.sim).then(function () {
+      track.off('mute', listener);
+      ctx.sim.setTrack(1, {mute: 0});
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.deepStrictEqual(on, [1]);
+      assert.deepStrictEqual(once, [1]);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('waitFor resolves after the model is updated', function () {
+  return helpers.connect().then(function (ctx) {
+    var clip = ctx.song.tracks[0].clips[0];
+    var waiting = clip.waitFor('isPlaying', function (ev) {
+      return ev.value;
+    }, 1000);
+    ctx.sim.setClip(1, 1, {hasContent: true});
+    ctx.sim.startClip(1, 1);
+    return waiting.then(function (ev) {
+      assert.strictEqual(ev.value, true);
+      assert.strictEqual(clip.isPlaying, true);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('waitFor rejects with an EventTimeoutError', function () {
+  return helpers.connect().then(function (ctx) {
+    return assert.rejects(ctx.song.waitFor('tempo', 20), function (err) {
+      assert.ok(err instanceof OSC4Bitwig.EventTimeoutError);
+      assert.ok(err instanceof OSC4Bitwig.TimeoutError);
+      assert.strictEqual(err.code, 'ETIMEDOUT');
+      return true;
+    }).then(function () {
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('waitFor rejects when the model is destroyed', function () {
+  return helpers.connect().then(function (ctx) {
+    var waiting = ctx.song.tracks[0].waitFor('volume');
+    return helpers.close(ctx).then(function () {
+      return assert.rejects(waiting, /destroyed while waiting for volume/);
+    });
+  });
+});
+
+test('events iterates over events as they happen', function () {
+  return helpers.connect().then(function (ctx) {
+    var events = ctx.song.events('track:volume');
+    ctx.sim.setTrack(1, {volume: 10});
+    ctx.sim.setTrack(2, {volume: 20});
+    return events.next().then(function (result) {
+      assert.deepStrictEqual([result.value.id, result.value.value], [1, 10]);
+      return events.next();
+    }).then(function (result) {
+      assert.deepStrictEqual([result.value.id, result.value.value], [2, 20]);
+      return events.return();
+    }).then(function (result) {
+      assert.strictEqual(result.done, true);
+      return helpers.close(ctx);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @module node-osc4bitwig
+ * @author Tom Dinchak <dinchak@gmail.com>
+ */
+
+var net = require('net');
+var _ = require('underscore');
+var OSC4Bitwig = require('../index');
+
+/**
+ * Connect OSC4Bitwig to a Simulator over a loopback transport pair and
+ * wait for the song to be ready.  Options are passed to OSC4Bitwig,
+ * opts.simulator is passed to the Simulator.
+ * @param  {Object}  opts options
+ * @return {Promise} resolves with {bitwig, sim, song, sent}, sent lists
+ *                   the addresses OSC4Bitwig has sent since it was ready
+ */
+exports.connect = function (opts) {
+  opts = opts || {};
+
+  var pair = OSC4Bitwig.transports.LoopbackTransport.pair();
+  var sim = new OSC4Bitwig.Simulator(_.extend({transport: pair[1]}, opts.simulator));
+  var bitwig = new OSC4Bitwig(_.extend({
+    transport: pair[0],
+    logger: {level: 'silent'}
+  }, _.omit(opts, 'simulator')));
+
+  return bitwig.ready().then(function (song) {
+    var ctx = {
+      bitwig: bitwig,
+      sim: sim,
+      song: song,
+      sent: []
+    };
+    bitwig.transport.on('send', function (address) {
+      ctx.sent.push(address);
+    });
+    return ctx;
+  });
+};
+
+/**
+ * Wait until the simulator has answered everything sent to it and the
+ * answers have been delivered
+ * @param  {Object}  sim Simulator
+ * @return {Promise} resolves when settled
+ */
+exports.settle = function (sim) {
+  return new Promise(function (resolve) {
+    (function check() {
+      setImmediate(function () {
+        if (sim.flushing || sim.queue.length) {
+          return check();
+        }
+        resolve();
+      });
+    })();
+  });
+};
+
+/**
+ * Close OSC4Bitwig and the simulator
+ * @param  {Object}  ctx from connect
+ * @return {Promise} resolves when both are closed
+ */
+exports.close = function (ctx) {
+  return Promise.all([ctx.bitwig.close(), ctx.sim.close()]);
+};
+
+/**
+ * Find a free port
+ * @return {Promise} resolves with the port
+ */
+exports.freePort = function () {
+  return new Promise(function (resolve) {
+    var server = net.createServer();
+    server.listen(0, function () {
+      var port = server.address().port;
+      server.close(function () {
+        resolve(port);
+      });
+    });
+  });
+};
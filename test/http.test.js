@@ -0,0 +1,41 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var http = require('http');
+var OSC4Bitwig = require('../index');
+var helpers = require('./helpers');
+
+test('a body that is too large gets a 413 before the connection closes', function () {
+  return Promise.all([helpers.connect(), helpers.freePort()]).then(function (results) {
+    var ctx = results[0];
+    var port = results[1];
+    var server = new OSC4Bitwig.HttpServer(ctx.song, {port: port, host: '127.0.0.1'});
+
+    return new Promise(function (resolve, reject) {
+      server.on('listening', function () {
+        var req = http.request({
+          host: '127.0.0.1',
+          port: port,
+          method: 'PUT',
+          path: '/tempo'
+        }, function (res) {
+          var data = '';
+          res.on('data', function (chunk) {
+            data += chunk;
+          });
+          res.on('end', function () {
+            resolve({status: res.statusCode, body: JSON.parse(data)});
+          });
+        });
+        req.on('error', reject);
+        req.end(Buffer.alloc(2 * 1024 * 1024, 0x20));
+      });
+    }).then(function (res) {
+      assert.strictEqual(res.status, 413);
+      assert.strictEqual(res.body.error.code, 'ETOOLARGE');
+    }).finally(function () {
+      return server.close().then(function () {
+        return helpers.close(ctx);
+      });
+    });
+  });
+});
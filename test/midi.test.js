@@ -0,0 +1,21 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var OSC4Bitwig = require('../index');
+var helpers = require('./helpers');
+
+test('the tempo target sends whole beats per minute', function () {
+  return helpers.connect().then(function (ctx) {
+    var mapper = new OSC4Bitwig.MidiMapper(ctx.song, {
+      mappings: [{type: 'cc', number: 7, target: 'song.tempo'}]
+    });
+    var values = [];
+    ctx.bitwig.transport.on('send', function (address, arg) {
+      values.push(arg.value);
+    });
+    mapper.receive([0xb0, 7, 33]);
+    assert.deepStrictEqual(values, [188]);
+    return helpers.close(ctx).then(function () {
+      assert.strictEqual(mapper.closed, true);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('a morph ends at the snapshot values', function () {
+  return helpers.connect().then(function (ctx) {
+    var song = ctx.song;
+    var saved = song.snapshot();
+    saved.tracks[0].volume = 0;
+    saved.tracks[1].pan = 127;
+    saved.device.params[2].value = 100;
+
+    var progress = [];
+    var morph = song.morph(saved, {duration: 60, interval: 10, curve: 'easeInOut'});
+    morph.on('progress', function (ev) {
+      progress.push(ev.value);
+    });
+    return morph.promise.then(function (completed) {
+      assert.strictEqual(completed, true);
+      assert.strictEqual(progress[progress.length - 1], 1);
+      assert.deepStrictEqual(song.morphs, []);
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.strictEqual(song.tracks[0].volume, 0);
+      assert.strictEqual(song.tracks[1].pan, 127);
+      assert.strictEqual(song.device.params[2].value, 100);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('a cancelled morph stops where it is', function () {
+  return helpers.connect().then(function (ctx) {
+    var saved = ctx.song.snapshot();
+    saved.tracks[0].volume = 0;
+    var morph = ctx.song.morph(saved, {duration: 1000, interval: 10});
+    setTimeout(function () {
+      morph.cancel();
+    }, 30);
+    return morph.promise.then(function (completed) {
+      assert.strictEqual(completed, false);
+      assert.ok(morph.progress < 1);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('closing cancels running morphs', function () {
+  return helpers.connect().then(function (ctx) {
+    var saved = ctx.song.snapshot();
+    saved.tracks[0].volume = 0;
+    var morph = ctx.song.morph(saved, {duration: 1000, interval: 10});
+    return helpers.close(ctx).then(function () {
+      return morph.promise;
+    }).then(function (completed) {
+      assert.strictEqual(completed, false);
+      assert.strictEqual(morph.running, false);
+    });
+  });
+});
+
+test('unknown curves are refused', function () {
+  return helpers.connect().then(function (ctx) {
+    assert.throws(function () {
+      ctx.song.morph(ctx.song.snapshot(), {curve: 'bounce'});
+    }, /unknown curve bounce/);
+    return helpers.close(ctx);
+  });
+});
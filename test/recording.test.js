@@ -0,0 +1,65 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var OSC4Bitwig = require('../index');
+var helpers = require('./helpers');
+
+var BAD_FILE = '/nonexistent/dir/rec.jsonl';
+
+test('recorded arguments are plain values in both directions', function () {
+  return helpers.connect().then(function (ctx) {
+    var recorder = new OSC4Bitwig.Recorder(ctx.bitwig, {filter: '/track/1/mute'});
+    var messages = [];
+    recorder.on('message', function (message) {
+      messages.push([message.direction, message.address, message.args]);
+    });
+    ctx.song.tracks[0].setMute(1);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.deepStrictEqual(messages, [
+        ['out', '/track/1/mute', [1]],
+        ['in', '/track/1/mute', [1]]
+      ]);
+      return recorder.stop();
+    }).then(function () {
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('errors from opts.record are emitted on bitwig', function () {
+  var bitwig = new OSC4Bitwig({
+    transport: new OSC4Bitwig.transports.LoopbackTransport(),
+    logger: {level: 'silent'},
+    record: BAD_FILE
+  });
+  return new Promise(function (resolve) {
+    bitwig.on('error', resolve);
+  }).then(function (err) {
+    assert.strictEqual(err.code, 'ENOENT');
+    return bitwig.close();
+  });
+});
+
+test('errors from opts.record are logged without an error listener', function () {
+  var logged = [];
+  var bitwig = new OSC4Bitwig({
+    transport: new OSC4Bitwig.transports.LoopbackTransport(),
+    logger: {
+      log: function (level, message, fields) {
+        if (level == 'error') {
+          logged.push([message, fields]);
+        }
+      }
+    },
+    record: BAD_FILE
+  });
+  return new Promise(function (resolve) {
+    bitwig.recorder.on('error', function () {
+      setImmediate(resolve);
+    });
+  }).then(function () {
+    assert.strictEqual(logged.length, 1);
+    assert.strictEqual(logged[0][0], 'Could not record');
+    assert.match(logged[0][1].error, /ENOENT/);
+    return bitwig.close();
+  });
+});
@@ -0,0 +1,69 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var Router = require('../lib/router');
+var helpers = require('./helpers');
+
+test('the router calls the handlers for an address with the arguments', function () {
+  var router = new Router();
+  var calls = [];
+  router.add('/track/1/volume', function (value) {
+    calls.push(['volume', value]);
+  });
+  router.add('/track/1/pan', function (value) {
+    calls.push(['pan', value]);
+  });
+
+  assert.strictEqual(router.dispatch('/track/1/volume', [100]), true);
+  assert.strictEqual(router.dispatch('/track/2/volume', [100]), false);
+  assert.strictEqual(router.dispatch('/track/1', [1]), false);
+  assert.deepStrictEqual(calls, [['volume', 100]]);
+  assert.deepStrictEqual(router.addresses().sort(), ['/track/1/pan', '/track/1/volume']);
+});
+
+test('removed handlers are not called', function () {
+  var router = new Router();
+  var called = 0;
+  function handler() {
+    called++;
+  }
+  router.add('/play', handler);
+  assert.ok(router.has('/play'));
+  router.remove('/play', handler);
+  router.remove('/unknown', handler);
+  assert.strictEqual(router.has('/play'), false);
+  assert.strictEqual(router.dispatch('/play', [1]), false);
+  assert.deepStrictEqual(router.addresses(), []);
+
+  router.add('/play', handler);
+  router.clear();
+  assert.strictEqual(router.dispatch('/play', [1]), false);
+  assert.strictEqual(called, 0);
+});
+
+test('a handler removed during dispatch doesn\'t change that dispatch', function () {
+  var router = new Router();
+  var calls = [];
+  function first() {
+    calls.push('first');
+    router.remove('/stop', second);
+  }
+  function second() {
+    calls.push('second');
+  }
+  router.add('/stop', first);
+  router.add('/stop', second);
+  router.dispatch('/stop', []);
+  router.dispatch('/stop', []);
+  assert.deepStrictEqual(calls, ['first', 'second', 'first']);
+});
+
+test('models register their addresses and remove them when closed', function () {
+  return helpers.connect().then(function (ctx) {
+    var router = ctx.bitwig.router;
+    assert.ok(router.has('/track/1/volume'));
+    assert.ok(router.has('/track/8/slot/7/isPlaying'));
+    return helpers.close(ctx).then(function () {
+      assert.deepStrictEqual(router.addresses(), []);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('launching the next scene scrolls across the bank edge', function () {
+  return helpers.connect().then(function (ctx) {
+    var song = ctx.song;
+    var launched = [];
+    song.eventEmitter.on('scene:launch', function (ev) {
+      launched.push(ev.value);
+    });
+    song.launchSceneAt(7);
+    assert.deepStrictEqual(ctx.sent, ['/scene/8/launch']);
+    assert.strictEqual(song.currentScene, 7);
+    ctx.sent.length = 0;
+    song.launchNextScene();
+    assert.deepStrictEqual(ctx.sent, ['/scene/+']);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/scene/+', '/scene/8/launch']);
+      assert.strictEqual(song.sceneOffset, 1);
+      assert.strictEqual(song.currentScene, 8);
+      assert.deepStrictEqual(launched, [7, 8]);
+      song.launchNextScene();
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.strictEqual(song.sceneOffset, 2);
+      assert.strictEqual(song.currentScene, 9);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('scenes past the end of the project are not launched', function () {
+  return helpers.connect({simulator: {projectScenes: 10}}).then(function (ctx) {
+    var song = ctx.song;
+    song.launchSceneAt(9);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.strictEqual(song.currentScene, 9);
+      ctx.sent.length = 0;
+      song.launchNextScene();
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      // the bank scrolls to find the end of the project
+      assert.deepStrictEqual(ctx.sent, ['/scene/+']);
+      assert.strictEqual(song.currentScene, 9);
+      assert.strictEqual(song.scenes[7].exists, false);
+      ctx.sent.length = 0;
+      song.launchSceneAt(12);
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.deepStrictEqual(ctx.sent, []);
+      assert.strictEqual(song.currentScene, 9);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('a scene Bitwig does not scroll to is not launched', function () {
+  return helpers.connect({simulator: {projectScenes: 8}}).then(function (ctx) {
+    var song = ctx.song;
+    song.launchSceneAt(8);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/scene/+']);
+      assert.strictEqual(song.currentScene, -1);
+      return helpers.close(ctx);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('the track offset follows the position Bitwig reports', function () {
+  return helpers.connect().then(function (ctx) {
+    var song = ctx.song;
+    song.setTrackOffset(3);
+    assert.strictEqual(song.trackOffset, 0);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/track/+', '/track/+', '/track/+']);
+      assert.strictEqual(song.trackOffset, 3);
+      assert.strictEqual(song.tracks[0].projectIndex, 3);
+      assert.strictEqual(song.tracks[0].name, 'Track 4');
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('tracks move by pages, then single steps', function () {
+  return helpers.connect().then(function (ctx) {
+    ctx.song.setTrackOffset(8);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/track/bank/+']);
+      assert.strictEqual(ctx.song.tracks[7].name, 'Track 16');
+      ctx.sent.length = 0;
+      ctx.song.setTrackOffset(1);
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/track/-', '/track/-', '/track/-', '/track/-',
+        '/track/-', '/track/-', '/track/-']);
+      assert.strictEqual(ctx.song.trackOffset, 1);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('scrolling stops at the start of the project', function () {
+  return helpers.connect().then(function (ctx) {
+    ctx.song.scrollScenes(2);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.strictEqual(ctx.song.sceneOffset, 2);
+      ctx.song.scrollScenes(-100);
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.strictEqual(ctx.song.sceneOffset, 0);
+      assert.strictEqual(ctx.sim.sceneOffset, 0);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('quick moves start from where the moves already sent leave the bank', function () {
+  return helpers.connect().then(function (ctx) {
+    var song = ctx.song;
+    song.setTrackOffset(3);
+    song.setTrackOffset(5);
+    song.scrollScenes(2);
+    song.scrollScenes(2);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/track/+', '/track/+', '/track/+', '/track/+',
+        '/track/+', '/scene/+', '/scene/+', '/scene/+', '/scene/+']);
+      assert.strictEqual(song.trackOffset, 5);
+      assert.strictEqual(song.sceneOffset, 4);
+      assert.strictEqual(song.pendingOffsets.track, null);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('a move Bitwig stops short of is forgotten', function () {
+  return helpers.connect({confirmTimeout: 20, simulator: {projectTracks: 10}}).then(function (ctx) {
+    var song = ctx.song;
+    song.setTrackOffset(12);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.strictEqual(song.trackOffset, 9);
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+      });
+    }).then(function () {
+      ctx.sent.length = 0;
+      song.setTrackOffset(7);
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/track/-', '/track/-']);
+      assert.strictEqual(song.trackOffset, 7);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('offsets and scene indexes are checked', function () {
+  return helpers.connect().then(function (ctx) {
+    assert.throws(function () {
+      ctx.song.setTrackOffset(-1);
+    }, RangeError);
+    assert.throws(function () {
+      ctx.song.setSceneOffset(1.5);
+    }, RangeError);
+    assert.throws(function () {
+      ctx.song.launchSceneAt(-1);
+    }, RangeError);
+    assert.deepStrictEqual(ctx.sent, []);
+    return helpers.close(ctx);
+  });
+});
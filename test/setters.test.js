@@ -0,0 +1,88 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var OSC4Bitwig = require('../index');
+var helpers = require('./helpers');
+
+var CONFIRM = {
+  confirm: true,
+  confirmTimeout: 50
+};
+
+test('levels are converted from the configured units', function () {
+  return helpers.connect(CONFIRM).then(function (ctx) {
+    var track = ctx.song.tracks[0];
+    return track.setVolume({normalized: 1}).then(function () {
+      assert.strictEqual(track.volume, 127);
+      return track.setPan(0);
+    }).then(function () {
+      assert.strictEqual(ctx.sim.tracks[0].pan, 0);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('setters resolve when Bitwig reports the new value', function () {
+  return helpers.connect(CONFIRM).then(function (ctx) {
+    var track = ctx.song.tracks[1];
+    return track.setMute(1).then(function (value) {
+      assert.strictEqual(value, 1);
+      assert.strictEqual(track.mute, 1);
+      assert.strictEqual(ctx.sim.tracks[1].mute, 1);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('setters resolve right away when the value is already set', function () {
+  return helpers.connect(CONFIRM).then(function (ctx) {
+    return ctx.song.tracks[0].setSolo(0).then(function (value) {
+      assert.strictEqual(value, 0);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('setters are resent when the feedback is lost', function () {
+  var opts = {confirm: true, confirmTimeout: 30, confirmRetries: 1};
+  return helpers.connect(opts).then(function (ctx) {
+    ctx.sim.dropPackets(1);
+    return ctx.song.setTempo(140).then(function (value) {
+      assert.strictEqual(value, 140);
+      assert.deepStrictEqual(ctx.sent, ['/tempo/raw', '/tempo/raw']);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('setters reject with a TimeoutError when Bitwig never confirms', function () {
+  return helpers.connect(CONFIRM).then(function (ctx) {
+    ctx.sim.dropPackets(1);
+    return assert.rejects(ctx.song.tracks[0].setMute(1), function (err) {
+      assert.ok(err instanceof OSC4Bitwig.TimeoutError);
+      assert.strictEqual(err.code, 'ETIMEDOUT');
+      return true;
+    }).then(function () {
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('the click is only toggled when it differs', function () {
+  return helpers.connect().then(function (ctx) {
+    var song = ctx.song;
+    assert.strictEqual(song.setClick(0), undefined);
+    assert.deepStrictEqual(ctx.sent, []);
+    song.setClick(1);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.strictEqual(song.click, 1);
+      song.setClick(1);
+      song.setClick(0);
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/click', '/click']);
+      assert.strictEqual(song.click, 0);
+      assert.strictEqual(ctx.sim.transport.click, 0);
+      return helpers.close(ctx);
+    });
+  });
+});
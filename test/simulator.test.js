@@ -0,0 +1,51 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('the simulator answers refresh with the state of the banks', function () {
+  return helpers.connect().then(function (ctx) {
+    var unhandled = [];
+    ctx.bitwig.on('unhandled', function (address) {
+      unhandled.push(address);
+    });
+    ctx.bitwig.send('/refresh');
+    return helpers.settle(ctx.sim).then(function () {
+      assert.deepStrictEqual(unhandled, []);
+      assert.strictEqual(ctx.song.tracks[0].name, 'Track 1');
+      assert.strictEqual(ctx.song.tracks[0].exists, true);
+      assert.strictEqual(ctx.song.tempo, ctx.sim.transport.tempo);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('the simulator state can be scripted', function () {
+  return helpers.connect().then(function (ctx) {
+    ctx.sim.setTrack(2, {name: 'Bass', mute: 1});
+    ctx.sim.setTransport({tempo: 90});
+    return helpers.settle(ctx.sim).then(function () {
+      assert.strictEqual(ctx.song.tracks[1].name, 'Bass');
+      assert.strictEqual(ctx.song.tracks[1].mute, 1);
+      assert.strictEqual(ctx.song.tempo, 90);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('the simulator ignores bank slots past the end of the project', function () {
+  return helpers.connect({simulator: {projectTracks: 4, projectScenes: 4}}).then(function (ctx) {
+    ctx.bitwig.transport.send('/track/6/mute', 1);
+    ctx.bitwig.transport.send('/track/1/clip/6/name', 'Lead');
+    ctx.bitwig.transport.send('/track/6/clip/1/launch');
+    return helpers.settle(ctx.sim).then(function () {
+      assert.strictEqual(ctx.song.tracks[5].exists, false);
+      assert.throws(function () {
+        ctx.sim.setTrack(6, {mute: 1});
+      }, RangeError);
+      assert.throws(function () {
+        ctx.sim.setClip(1, 6, {name: 'Lead'});
+      }, RangeError);
+      return helpers.close(ctx);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('snapshots store tracks with their project position', function () {
+  return helpers.connect().then(function (ctx) {
+    var saved = ctx.song.snapshot();
+    assert.strictEqual(saved.version, 2);
+    assert.strictEqual(saved.resolution, 128);
+    assert.strictEqual(saved.tracks[2].projectIndex, 2);
+    assert.strictEqual(saved.device.params.length, 8);
+    assert.doesNotThrow(function () {
+      JSON.parse(JSON.stringify(saved));
+    });
+    return helpers.close(ctx);
+  });
+});
+
+test('restore only sends values that changed', function () {
+  return helpers.connect({confirm: true, confirmTimeout: 50}).then(function (ctx) {
+    var saved = ctx.song.snapshot();
+    return ctx.song.tracks[1].setMute(1).then(function () {
+      ctx.sent.length = 0;
+      return ctx.song.restore(saved);
+    }).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/track/2/mute']);
+      assert.strictEqual(ctx.sim.tracks[1].mute, 0);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('restore matches tracks by project position after scrolling', function () {
+  return helpers.connect({confirm: true, confirmTimeout: 50}).then(function (ctx) {
+    var song = ctx.song;
+    var saved = song.snapshot();
+    song.setTrackOffset(2);
+    return helpers.settle(ctx.sim).then(function () {
+      return song.tracks[0].setVolume({raw: 5});
+    }).then(function () {
+      ctx.sent.length = 0;
+      // project track 1 is out of the bank now
+      return song.restore(saved, {tracks: [1]});
+    }).then(function () {
+      assert.deepStrictEqual(ctx.sent, []);
+      return song.restore(saved, {properties: ['volume']});
+    }).then(function () {
+      assert.deepStrictEqual(ctx.sent, ['/track/1/volume']);
+      assert.strictEqual(ctx.sim.tracks[2].volume, saved.tracks[2].volume);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('restore converts values taken at another resolution', function () {
+  var opts = {
+    confirm: true,
+    confirmTimeout: 50,
+    resolution: 1024,
+    simulator: {resolution: 1024}
+  };
+  return helpers.connect().then(function (ctx) {
+    var saved = ctx.song.snapshot();
+    saved.tracks[0].volume = 127;
+    saved.device.params[0].value = 127;
+    return helpers.close(ctx).then(function () {
+      return helpers.connect(opts);
+    }).then(function (ctx) {
+      return ctx.song.restore(saved, {properties: ['volume', 'device']}).then(function () {
+        assert.strictEqual(ctx.sim.tracks[0].volume, 1023);
+        assert.strictEqual(ctx.song.device.params[0].value, 1023);
+        return helpers.close(ctx);
+      });
+    });
+  });
+});
+
+test('restore refuses unknown versions and properties', function () {
+  return helpers.connect().then(function (ctx) {
+    var saved = ctx.song.snapshot();
+    assert.throws(function () {
+      ctx.song.restore({version: 99});
+    }, /unsupported snapshot version 99/);
+    assert.throws(function () {
+      ctx.song.restore(saved, {properties: ['color']});
+    }, /unknown snapshot properties color/);
+    return helpers.close(ctx);
+  });
+});
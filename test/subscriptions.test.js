@@ -0,0 +1,37 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('messages no model handles are emitted as unhandled', function () {
+  return helpers.connect().then(function (ctx) {
+    var unhandled = [];
+    ctx.bitwig.on('unhandled', function (address) {
+      unhandled.push(address);
+    });
+    ctx.sim.send('/nothing/here', 1);
+    ctx.sim.send('/track/1/exists', true);
+    return helpers.settle(ctx.sim).then(function () {
+      assert.deepStrictEqual(unhandled, ['/nothing/here']);
+      return helpers.close(ctx);
+    });
+  });
+});
+
+test('onAddress listeners get messages matching a pattern', function () {
+  return helpers.connect().then(function (ctx) {
+    var seen = [];
+    var off = ctx.bitwig.onAddress('/track/[1-2]/mute', function (address, value) {
+      seen.push([address, value]);
+    });
+    ctx.sim.setTrack(1, {mute: 1});
+    ctx.sim.setTrack(3, {mute: 1});
+    return helpers.settle(ctx.sim).then(function () {
+      off();
+      ctx.sim.setTrack(2, {mute: 1});
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.deepStrictEqual(seen, [['/track/1/mute', 1]]);
+      return helpers.close(ctx);
+    });
+  });
+});
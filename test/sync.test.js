@@ -0,0 +1,51 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var OSC4Bitwig = require('../index');
+var helpers = require('./helpers');
+
+test('ready resolves once the tracks, scenes and device are reported', function () {
+  return helpers.connect().then(function (ctx) {
+    var song = ctx.song;
+    assert.ok(song.isPopulated());
+    assert.strictEqual(song.tracks.length, 8);
+    assert.strictEqual(song.scenes.length, 8);
+    assert.strictEqual(song.tracks[0].name, 'Track 1');
+    assert.strictEqual(song.tracks[0].exists, true);
+    assert.strictEqual(song.device.name, ctx.sim.devices[0].name);
+    return helpers.close(ctx);
+  });
+});
+
+test('ready is rejected when closed before Bitwig sends its state', function () {
+  var bitwig = new OSC4Bitwig({
+    transport: new OSC4Bitwig.transports.LoopbackTransport(),
+    logger: {level: 'silent'}
+  });
+  var ready = bitwig.ready();
+  var closed = false;
+  bitwig.on('close', function () {
+    closed = true;
+  });
+  return bitwig.close().then(function () {
+    assert.ok(closed);
+    return assert.rejects(ready, /closed before Bitwig sent its state/);
+  });
+});
+
+test('sends after close do nothing without confirm', function () {
+  return helpers.connect().then(function (ctx) {
+    return helpers.close(ctx).then(function () {
+      assert.strictEqual(ctx.bitwig.send('/play'), undefined);
+      assert.strictEqual(ctx.song.setTempo(100), undefined);
+      assert.deepStrictEqual(ctx.sent, []);
+    });
+  });
+});
+
+test('sends after close are rejected with confirm', function () {
+  return helpers.connect({confirm: true}).then(function (ctx) {
+    return helpers.close(ctx).then(function () {
+      return assert.rejects(ctx.song.setTempo(100), /cannot send \/tempo\/raw, OSC4Bitwig is closed/);
+    });
+  });
+});
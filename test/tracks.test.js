@@ -0,0 +1,18 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('the playing clip follows numeric isPlaying feedback', function () {
+  return helpers.connect().then(function (ctx) {
+    var track = ctx.song.tracks[0];
+    ctx.sim.setClip(1, 2, {hasContent: true, isPlaying: 1});
+    return helpers.settle(ctx.sim).then(function () {
+      assert.strictEqual(track.playingClip, track.clips[1]);
+      ctx.sim.setClip(1, 2, {isPlaying: 0});
+      return helpers.settle(ctx.sim);
+    }).then(function () {
+      assert.strictEqual(track.playingClip, null);
+      return helpers.close(ctx);
+    });
+  });
+});
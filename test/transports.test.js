@@ -0,0 +1,52 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var OSC4Bitwig = require('../index');
+var helpers = require('./helpers');
+
+var TcpTransport = OSC4Bitwig.transports.TcpTransport;
+
+function wait(ms) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+test('tcp messages are framed and delivered', function () {
+  return helpers.freePort().then(function (port) {
+    var server = new TcpTransport({server: true, port: port});
+    var client = new TcpTransport({remoteHost: '127.0.0.1', remotePort: port});
+    var received = new Promise(function (resolve) {
+      server.on('/track/1/volume', function (value) {
+        resolve(value);
+      });
+    });
+    client.send('/track/1/volume', {type: 'integer', value: 100});
+    return received.then(function (value) {
+      assert.strictEqual(value, 100);
+      return Promise.all([client.close(), server.close()]);
+    });
+  });
+});
+
+test('closing a tcp transport while it connects drops the connection', function () {
+  return helpers.freePort().then(function (port) {
+    var server = new TcpTransport({server: true, port: port});
+    var client = new TcpTransport({remoteHost: '127.0.0.1', remotePort: port});
+    return client.close().then(function () {
+      return wait(50);
+    }).then(function () {
+      assert.strictEqual(client.sockets.length, 0);
+      assert.strictEqual(server.sockets.length, 0);
+      return server.close();
+    });
+  });
+});
+
+test('a refused tcp connect after close is ignored', function () {
+  return helpers.freePort().then(function (port) {
+    var client = new TcpTransport({remoteHost: '127.0.0.1', remotePort: port, reconnectTime: 0});
+    return client.close().then(function () {
+      return wait(50);
+    });
+  });
+});